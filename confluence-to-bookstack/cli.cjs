@@ -36,802 +36,304 @@ const path = require("node:path");
 const { Command } = require("commander");
 const cheerio = require("cheerio");
 const yaml = require("js-yaml");
-const pLimitImport = require("p-limit");
-const pLimit =
-  typeof pLimitImport === "function" ? pLimitImport : pLimitImport.default;
-
-function requireNonEmpty(value, message) {
-  if (value === undefined || value === null || String(value).trim() === "") {
-    throw new Error(message);
+const {
+  createConfluenceClient,
+  createBookstackClient,
+  convertPage,
+  requireNonEmpty,
+  parseConfluenceInput,
+  resolveConfluenceFlavor,
+  deriveConfluenceBaseFromUrl,
+  extractConfluenceSpaceKeyFromUrl,
+  sanitizeFilename,
+  ensureDirSync,
+  sha256,
+  loadSyncState,
+  saveSyncState,
+  extractConfluencePageIdFromHref,
+  configureRequests,
+  fetchJson,
+  bookstackAuthHeader,
+  createBookstackConfigIndex,
+  loadBookstackConfig,
+  appendPagesToBookstackConfig,
+  parseBookstackPageUrl,
+  validateBookstackConfig,
+  rewriteConfluenceLinksToBookstack,
+  editedInBookstackSince,
+  planBookstackTree,
+  absolutizeMaybe,
+  uploadImagesToBookstackGallery,
+  rewriteAttachmentLinks,
+  saveAttachmentsLocally,
+  uploadAttachmentsToBookstack,
+  htmlToMarkdown,
+  writeStaticSite,
+  normalizeForDiff,
+  diffLines,
+  formatDiff,
+  writePlanReport,
+} = require("./index.cjs");
+
+async function runValidateConfig(opts) {
+  configureRequests(opts);
+  const configPath =
+    opts.config || path.resolve(process.cwd(), "bookstack-config.yml");
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Конфиг не найден: ${configPath}`);
   }
-  return value;
-}
-
-function parseConfluenceInput(input) {
-  const trimmed = String(input).trim();
-  if (/^\d+$/.test(trimmed)) return { pageId: trimmed, pageUrl: null };
 
-  let url;
-  try {
-    url = new URL(trimmed);
-  } catch {
-    throw new Error(`Не похоже ни на URL, ни на pageId: "${input}"`);
+  let bookstackBase = "";
+  let bsAuthHeader = "";
+  if (!opts.offline) {
+    bookstackBase = String(
+      opts.bookstackBase || process.env.BOOKSTACK_BASE || "",
+    ).replace(/\/+$/, "");
+    if (!bookstackBase) {
+      // Same fallback as sync: origin of the first well-formed link.
+      try {
+        const data = yaml.load(fs.readFileSync(configPath, "utf8"));
+        const link = (data.books || [])
+          .flatMap((b) => (b && Array.isArray(b.pages) ? b.pages : []))
+          .map((p) => String((p && p.link) || "").trim())
+          .find((l) => parseBookstackPageUrl(l));
+        bookstackBase = new URL(link).origin;
+      } catch {
+        // reported below
+      }
+    }
+    requireNonEmpty(
+      bookstackBase,
+      "Для проверки по BookStack нужен --bookstack-base (или env BOOKSTACK_BASE), либо --offline",
+    );
+    const bsTokenId = opts.bookstackTokenId || process.env.BOOKSTACK_TOKEN_ID;
+    const bsTokenSecret =
+      opts.bookstackTokenSecret || process.env.BOOKSTACK_TOKEN_SECRET;
+    requireNonEmpty(
+      bsTokenId,
+      "Нужен --bookstack-token-id или env BOOKSTACK_TOKEN_ID (или --offline)",
+    );
+    requireNonEmpty(
+      bsTokenSecret,
+      "Нужен --bookstack-token-secret или env BOOKSTACK_TOKEN_SECRET (или --offline)",
+    );
+    bsAuthHeader = bookstackAuthHeader(bsTokenId, bsTokenSecret);
   }
 
-  // Typical Cloud URL: https://<site>.atlassian.net/wiki/spaces/<SPACE>/pages/<ID>/...
-  const m = url.pathname.match(/\/pages\/(\d+)(?:\/|$)/);
-  if (!m) {
-    throw new Error(`Не смог извлечь pageId из URL: ${trimmed}`);
+  console.log(`[validate] Конфиг: ${configPath}`);
+  const { entries, problems } = await validateBookstackConfig({
+    configPath,
+    bookstackBase,
+    bsAuthHeader,
+    log: (...args) => console.log(...args),
+  });
+  for (const p of problems) {
+    console.log(`[${p.level}] ${p.where}: ${p.message}`);
   }
-  return { pageId: m[1], pageUrl: url.toString() };
-}
-
-function deriveConfluenceBaseFromUrl(pageUrl) {
-  const url = new URL(pageUrl);
-  // Confluence Cloud almost always lives under /wiki
-  if (url.pathname.startsWith("/wiki")) return `${url.origin}/wiki`;
-  return url.origin;
+  const errors = problems.filter((p) => p.level === "error").length;
+  const warnings = problems.length - errors;
+  console.log(
+    `[validate] Итого: записей ${entries}, ошибок ${errors}, предупреждений ${warnings}`,
+  );
+  if (errors || (opts.strict && warnings)) process.exitCode = 1;
 }
 
-function extractConfluenceSpaceKeyFromUrl(pageUrl) {
-  try {
-    const url = new URL(pageUrl);
-    const m = url.pathname.match(/\/spaces\/([^/]+)\//);
-    return m ? decodeURIComponent(m[1]) : "";
-  } catch {
-    return "";
+async function runRestore(opts) {
+  configureRequests(opts);
+  const dir = path.resolve(process.cwd(), opts.from);
+  const manifestPath = path.join(dir, "manifest.json");
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`В ${dir} нет manifest.json — это не каталог бэкапа`);
   }
-}
-
-function basicAuthHeader(user, token) {
-  const raw = `${user}:${token}`;
-  const b64 = Buffer.from(raw, "utf8").toString("base64");
-  return `Basic ${b64}`;
-}
-
-function sanitizeFilename(input, { maxLen = 140 } = {}) {
-  let s = String(input || "")
-    .normalize("NFKC")
-    .trim();
-  // Replace forbidden chars on Windows + control chars.
-  s = s.replace(/[<>:"/\\|?*\x00-\x1F]/g, " ");
-  // Collapse whitespace.
-  s = s.replace(/\s+/g, " ").trim();
-  // Windows: no trailing dot or space.
-  s = s.replace(/[. ]+$/g, "");
-  if (!s) s = "untitled";
-
-  const upper = s.toUpperCase();
-  const reserved =
-    upper === "CON" ||
-    upper === "PRN" ||
-    upper === "AUX" ||
-    upper === "NUL" ||
-    /^COM[1-9]$/.test(upper) ||
-    /^LPT[1-9]$/.test(upper);
-  if (reserved) s = `_${s}`;
-
-  if (s.length > maxLen) s = s.slice(0, maxLen).trim();
-  return s;
-}
-
-function ensureDirSync(dirPath) {
-  fs.mkdirSync(dirPath, { recursive: true });
-}
-
-function extractConfluencePageIdFromHref(href, confluenceBase) {
-  const raw = String(href || "").trim();
-  if (!raw) return null;
-  if (/^(mailto:|tel:|data:|#)/i.test(raw)) return null;
-
-  const abs = absolutizeMaybe(raw, confluenceBase);
-  try {
-    const u = new URL(abs);
-    const base = new URL(confluenceBase);
-    if (u.origin !== base.origin) return null;
-    const m = u.pathname.match(/\/pages\/(\d+)(?:\/|$)/);
-    return m ? m[1] : null;
-  } catch {
-    return null;
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const pages = Array.isArray(manifest.pages) ? manifest.pages : [];
+
+  const bookstackBase = String(
+    opts.bookstackBase ||
+      process.env.BOOKSTACK_BASE ||
+      manifest.bookstackBase ||
+      "",
+  ).replace(/\/+$/, "");
+  requireNonEmpty(
+    bookstackBase,
+    "Для restore нужен --bookstack-base (или env BOOKSTACK_BASE)",
+  );
+  if (manifest.bookstackBase && manifest.bookstackBase !== bookstackBase) {
+    console.warn(
+      `[warn] Бэкап сделан с ${manifest.bookstackBase}, восстанавливаем в ${bookstackBase}`,
+    );
   }
-}
+  const bsTokenId = opts.bookstackTokenId || process.env.BOOKSTACK_TOKEN_ID;
+  const bsTokenSecret =
+    opts.bookstackTokenSecret || process.env.BOOKSTACK_TOKEN_SECRET;
+  requireNonEmpty(
+    bsTokenId,
+    "Для restore нужен --bookstack-token-id или env BOOKSTACK_TOKEN_ID",
+  );
+  requireNonEmpty(
+    bsTokenSecret,
+    "Для restore нужен --bookstack-token-secret или env BOOKSTACK_TOKEN_SECRET",
+  );
+  const bookstack = createBookstackClient({
+    base: bookstackBase,
+    tokenId: bsTokenId,
+    tokenSecret: bsTokenSecret,
+  });
+  const log = (...args) => console.log(...args);
 
-async function fetchJson(url, opts = {}) {
-  const maxAttempts = 4;
-  let lastErr = null;
-  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
-    let res;
-    try {
-      res = await fetch(url, opts);
-    } catch (e) {
-      lastErr = e;
-      const code = e && e.cause && e.cause.code ? String(e.cause.code) : "";
-      const retriable = [
-        "UND_ERR_CONNECT_TIMEOUT",
-        "UND_ERR_SOCKET",
-        "ECONNRESET",
-        "ETIMEDOUT",
-        "ENOTFOUND",
-      ].includes(code);
-      if (attempt < maxAttempts && retriable) {
-        const waitMs = 400 * Math.pow(2, attempt - 1);
-        await new Promise((r) => setTimeout(r, waitMs));
-        continue;
-      }
-      const cause =
-        e && e.cause
-          ? `\nCause: ${e.cause.code || ""} ${e.cause.message || e.cause}`
-          : "";
-      throw new Error(
-        `Fetch failed for ${url}\n${String(
-          e && e.message ? e.message : e,
-        )}${cause}`,
-      );
-    }
-    if (!res.ok) {
-      const text = await res.text().catch(() => "");
-      throw new Error(
-        `HTTP ${res.status} при запросе ${url}\n${text.slice(0, 1200)}`,
-      );
-    }
-    return await res.json();
-  }
-  throw lastErr || new Error(`Fetch failed for ${url}`);
-}
+  // The restore itself is backed up too, so it can be undone.
+  const backup = opts.backup
+    ? bookstack.createBackup({
+        root: path.resolve(process.cwd(), opts.backupDir),
+        log,
+      })
+    : null;
 
-async function fetchBinary(url, opts = {}) {
-  const maxAttempts = 4;
-  let lastErr = null;
-  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
-    let res;
+  console.log(
+    `[restore] Бэкап ${dir} от ${manifest.createdAt}: ${pages.length} страниц`,
+  );
+  let restored = 0;
+  let failed = 0;
+  for (const p of pages) {
     try {
-      res = await fetch(url, opts);
+      const html = fs.readFileSync(path.join(dir, p.html), "utf8");
+      const markdown = p.markdown
+        ? fs.readFileSync(path.join(dir, p.markdown), "utf8")
+        : null;
+      await bookstack.updatePage({
+        pageId: p.id,
+        html,
+        markdown,
+        name: p.name,
+        backup,
+        log,
+      });
+      console.log(`[ok] Восстановлена страница id=${p.id} "${p.name}"`);
+      restored += 1;
     } catch (e) {
-      lastErr = e;
-      const code = e && e.cause && e.cause.code ? String(e.cause.code) : "";
-      const retriable = [
-        "UND_ERR_CONNECT_TIMEOUT",
-        "UND_ERR_SOCKET",
-        "ECONNRESET",
-        "ETIMEDOUT",
-        "ENOTFOUND",
-      ].includes(code);
-      if (attempt < maxAttempts && retriable) {
-        const waitMs = 400 * Math.pow(2, attempt - 1);
-        await new Promise((r) => setTimeout(r, waitMs));
-        continue;
-      }
-      const cause =
-        e && e.cause
-          ? `\nCause: ${e.cause.code || ""} ${e.cause.message || e.cause}`
-          : "";
-      throw new Error(
-        `Fetch failed for ${url}\n${String(
+      failed += 1;
+      console.warn(
+        `[warn] Не удалось восстановить id=${p.id} "${p.name}": ${String(
           e && e.message ? e.message : e,
-        )}${cause}`,
-      );
-    }
-    if (!res.ok) {
-      const text = await res.text().catch(() => "");
-      throw new Error(
-        `HTTP ${res.status} при скачивании ${url}\n${text.slice(0, 600)}`,
+        )}`,
       );
     }
-    const ct = res.headers.get("content-type") || "";
-    const ab = await res.arrayBuffer();
-    return { contentType: ct, bytes: Buffer.from(ab) };
-  }
-  throw lastErr || new Error(`Fetch failed for ${url}`);
-}
-
-function bookstackAuthHeader(tokenId, tokenSecret) {
-  return `Token ${tokenId}:${tokenSecret}`;
-}
-
-/**
- * Load bookstack-config.yml and return Map<pageName, link>.
- * Page names are trimmed; links are full URLs like https://book.example.com/books/foo/page/bar
- */
-function loadBookstackConfig(configPath) {
-  const raw = fs.readFileSync(configPath, "utf8");
-  const data = yaml.load(raw);
-  const map = new Map();
-  if (!data || !Array.isArray(data.books)) return map;
-  for (const book of data.books) {
-    const pages = book.pages;
-    if (!Array.isArray(pages)) continue;
-    for (const p of pages) {
-      const name = String(p.name || "").trim();
-      const link = String(p.link || "").trim();
-      if (name && link) map.set(name, link);
-    }
   }
-  return map;
-}
-
-/**
- * Parse BookStack page URL to extract book_slug and page_slug.
- * URL format: https://host/books/{book_slug}/page/{page_slug}
- */
-function parseBookstackPageUrl(urlStr) {
-  try {
-    const u = new URL(urlStr);
-    const m = u.pathname.match(/\/books\/([^/]+)\/page\/([^/]+)/);
-    return m ? { bookSlug: m[1], pageSlug: m[2] } : null;
-  } catch {
-    return null;
+  console.log(`[restore] Итого: восстановлено ${restored}, ошибок ${failed}`);
+  if (backup && backup.manifest.pages.length) {
+    console.log(`[backup] Состояние до восстановления: ${backup.dir}`);
   }
+  if (failed) process.exitCode = 1;
 }
 
-/**
- * Resolve BookStack page ID from full page URL by fetching pages list.
- * BookStack API uses offset/count pagination (no next URL).
+/*
+ * Option groups. Each subcommand gets only the groups that apply to it; the
+ * deprecated flat invocation (no subcommand) gets all of them.
  */
-async function resolveBookstackPageIdFromUrl({
-  bookstackBase,
-  bsAuthHeader,
-  pageUrl,
-  log = () => {},
-}) {
-  const parsed = parseBookstackPageUrl(pageUrl);
-  if (!parsed) {
-    log(`[bs] parseBookstackPageUrl failed for: ${pageUrl}`);
-    return null;
-  }
-  log(
-    `[bs] Ищем страницу: book_slug=${parsed.bookSlug} page_slug=${parsed.pageSlug}`,
-  );
-
-  const count = 100;
-  let offset = 0;
-  const maxPages = 100;
-
-  for (let i = 0; i < maxPages; i += 1) {
-    const url = `${bookstackBase}/api/pages?count=${count}&offset=${offset}`;
-    log(`[bs] GET ${url}`);
-    const list = await fetchJson(url, {
-      headers: { Authorization: bsAuthHeader, Accept: "application/json" },
-    });
-    const items = Array.isArray(list.data)
-      ? list.data
-      : Array.isArray(list.results)
-        ? list.results
-        : [];
-    const total = list.total != null ? list.total : items.length;
-    log(
-      `[bs] Получено ${items.length} страниц (total=${total}, offset=${offset})`,
+function addSourceOptions(cmd, { tree = true } = {}) {
+  cmd
+    .option("--page <urlOrId>", "URL страницы Confluence или pageId")
+    .option(
+      "--confluence-base <url>",
+      "База Confluence, напр. https://site.atlassian.net/wiki или https://confluence.example.com/confluence",
+    )
+    .option(
+      "--confluence-flavor <flavor>",
+      "cloud (Atlassian Cloud) или server (Server / Data Center) (default: *.atlassian.net -> cloud, иначе server; или env CONFLUENCE_FLAVOR)",
+    )
+    .option(
+      "--source <source>",
+      "Что конвертировать: export_view (HTML, который рендерит Confluence) или storage (исходный XHTML с макросами) (default: export_view)",
+      "export_view",
+    )
+    .option(
+      "--confluence-user <email>",
+      "Confluence user/email (или env CONFLUENCE_USER); для server с personal access token не нужен",
+    )
+    .option(
+      "--confluence-token <token>",
+      "Confluence API token или personal access token (или env CONFLUENCE_TOKEN)",
+    );
+  if (!tree) return cmd;
+  return cmd
+    .option(
+      "--space <key>",
+      "Выгрузить всё пространство Confluence (все страницы по иерархии)",
+    )
+    .option(
+      "--recursive",
+      "Рекурсивно выгружать Confluence-страницы, на которые есть ссылки",
+    )
+    .option(
+      "--include-children",
+      "Выгружать дочерние страницы по иерархии Confluence (все уровни)",
+    )
+    .option(
+      "--max-depth <n>",
+      "Глубина рекурсии (default: 1)",
+      (v) => Number(v),
+      1,
     );
-    if (items.length > 0 && offset === 0) {
-      const sample = items[0];
-      log(
-        `[bs] Пример первой страницы: id=${sample.id} slug=${sample.slug} book_slug=${sample.book_slug} name="${sample.name}"`,
-      );
-    }
-
-    for (const p of items) {
-      const match =
-        String(p.book_slug || "") === parsed.bookSlug &&
-        String(p.slug || "") === parsed.pageSlug;
-      if (match) {
-        log(`[bs] Найдено: id=${p.id} name="${p.name}"`);
-        return p.id;
-      }
-    }
-
-    offset += items.length;
-    if (items.length < count || offset >= total) break;
-  }
-  log(`[bs] Страница не найдена после просмотра ${offset} записей`);
-  return null;
-}
-
-/**
- * Rewrite Confluence links in HTML to BookStack links from config.
- * Uses titleById (confluenceId -> title) and configByName (title -> link).
- */
-function rewriteConfluenceLinksToBookstack(
-  $,
-  { titleById, configByName, confluenceBase },
-) {
-  const base = confluenceBase;
-  $("a[href]").each((_, a) => {
-    const href = String($(a).attr("href") || "").trim();
-    if (!href || href.startsWith("#")) return;
-
-    const linkedId = extractConfluencePageIdFromHref(href, base);
-    if (!linkedId) return;
-
-    const title = titleById.get(linkedId);
-    if (!title) return;
-
-    const link = configByName.get(title);
-    if (!link) return;
-
-    try {
-      const abs = absolutizeMaybe(href, base);
-      const u = new URL(abs);
-      const hash = u.hash || "";
-      $(a).attr("href", link + hash);
-    } catch {
-      $(a).attr("href", link);
-    }
-  });
 }
 
-async function updateBookstackPage({
-  bookstackBase,
-  bsAuthHeader,
-  pageId,
-  html,
-  name,
-  log = () => {},
-}) {
-  const url = `${bookstackBase}/api/pages/${pageId}`;
-  log(`[bs] PUT ${url} (name="${name}", htmlLen=${html ? html.length : 0})`);
-  const res = await fetchJson(url, {
-    method: "PUT",
-    headers: {
-      Authorization: bsAuthHeader,
-      "Content-Type": "application/json",
-      Accept: "application/json",
-    },
-    body: JSON.stringify({ html, name }),
-  });
-  log(`[bs] PUT ответ: id=${res.id} name="${res.name}"`);
-  return res;
+function addRenderOptions(cmd, { images }) {
+  return cmd
+    .option("--images <mode>", images)
+    .option(
+      "--concurrency <n>",
+      "Параллельные скачивания картинок (default: 4)",
+      (v) => Number(v),
+      4,
+    )
+    .option(
+      "--max-bytes <n>",
+      "Макс размер одной картинки в байтах (default: 15000000)",
+      (v) => Number(v),
+      15_000_000,
+    )
+    .option(
+      "--attachments",
+      "Переносить вложения страниц (кроме картинок) в BookStack; в dry-run сохранять рядом с HTML",
+    )
+    .option(
+      "--max-attachment-bytes <n>",
+      "Макс размер одного вложения в байтах (default: 100000000)",
+      (v) => Number(v),
+      100_000_000,
+    )
+    .option(
+      "--jira-base <url>",
+      "База Jira для ссылок из Jira-макросов без URL, напр. https://site.atlassian.net (или env JIRA_BASE)",
+    )
+    .option("--keep-ids", "Сохранить id атрибуты (по умолчанию удаляются)");
 }
 
-async function findOrCreateBook({ bookstackBase, bsAuthHeader, desiredName }) {
-  const name = String(desiredName || "").trim();
-  requireNonEmpty(name, "Пустое имя книги для BookStack");
-
-  const like = encodeURIComponent(`%${name}%`);
-  const listUrl = `${bookstackBase}/api/books?count=500&filter[name:like]=${like}`;
-  const listing = await fetchJson(listUrl, {
-    headers: { Authorization: bsAuthHeader, Accept: "application/json" },
-  });
-
-  const items = Array.isArray(listing.data) ? listing.data : [];
-  const exact = items.find(
-    (b) =>
-      String(b.name || "")
-        .trim()
-        .toLowerCase() === name.toLowerCase(),
+function addFormatOption(cmd) {
+  return cmd.option(
+    "--format <format>",
+    "Формат: html или markdown (GFM); markdown также отправляется в BookStack (default: html)",
+    "html",
   );
-  if (exact && exact.id)
-    return { id: exact.id, name: exact.name, existed: true };
-
-  const createUrl = `${bookstackBase}/api/books`;
-  const created = await fetchJson(createUrl, {
-    method: "POST",
-    headers: {
-      Authorization: bsAuthHeader,
-      "Content-Type": "application/json",
-      Accept: "application/json",
-    },
-    body: JSON.stringify({
-      name,
-      description_html: `<p>Imported from Confluence.</p>`,
-    }),
-  });
-
-  return { id: created.id, name: created.name, existed: false };
-}
-
-function guessContentTypeByPathname(urlStr) {
-  try {
-    const u = new URL(urlStr);
-    const p = u.pathname.toLowerCase();
-    if (p.endsWith(".png")) return "image/png";
-    if (p.endsWith(".jpg") || p.endsWith(".jpeg")) return "image/jpeg";
-    if (p.endsWith(".gif")) return "image/gif";
-    if (p.endsWith(".webp")) return "image/webp";
-    if (p.endsWith(".svg")) return "image/svg+xml";
-    if (p.endsWith(".avif")) return "image/avif";
-  } catch {
-    // ignore
-  }
-  return "";
-}
-
-function absolutizeMaybe(urlStr, base) {
-  if (!urlStr) return urlStr;
-  const s = String(urlStr).trim();
-  if (!s) return s;
-  if (/^(data:|mailto:|tel:|#)/i.test(s)) return s;
-  try {
-    return new URL(s, base).toString();
-  } catch {
-    return s;
-  }
-}
-
-function looksLikeUrlText(text) {
-  const t = String(text || "").trim();
-  if (!t) return true;
-  if (!/^https?:\/\//i.test(t)) return false;
-  return true;
-}
-
-function looksLikeJoinedMixedScriptText(text) {
-  const t = String(text || "").trim();
-  if (!t) return false;
-  // Confluence export_view can flatten smart links into text like
-  return /[A-Za-z][\u0400-\u04FF]|[\u0400-\u04FF][A-Za-z]/.test(t);
-}
-
-function normalizeAnchorsAndLinks(
-  $,
-  { pageUrl, pageId, confluenceBase, rewriteSelfLinks = true },
-) {
-  const preserveIds = new Set(["__root"]);
-  let rewrittenSelfLinks = 0;
-
-  const normalizeText = (text, { treatHyphenAsSpace } = {}) => {
-    let t = String(text || "")
-      .trim()
-      .toLowerCase();
-    if (!t) return "";
-    if (treatHyphenAsSpace) t = t.replace(/-/g, " ");
-    // normalize whitespace
-    t = t.replace(/\s+/g, " ");
-    // Replace punctuation with spaces so words don't get glued together.
-    // This helps match "бонус-батчей" vs "бонус батчей" anchors reliably.
-    t = t.replace(/[^\p{L}\p{N}]+/gu, " ");
-    t = t.replace(/\s+/g, " ").trim();
-    return t;
-  };
-
-  const normalizeHash = (hash) => {
-    if (!hash) return "";
-    let h = String(hash).trim();
-    if (!h) return "";
-    if (h.startsWith("#")) h = h.slice(1);
-    try {
-      // Keep Confluence's ids, but normalize encoding if any.
-      h = decodeURIComponent(h);
-    } catch {
-      // ignore
-    }
-    // Confluence often includes trailing punctuation in autolinks.
-    h = h.replace(/[.)\]]+$/g, "");
-    return h;
-  };
-
-  const isSameConfluencePage = (hrefAbs) => {
-    if (!hrefAbs) return false;
-    try {
-      const u = new URL(hrefAbs);
-      // Match by pageId in pathname.
-      return new RegExp(`/pages/${pageId}(?:/|$)`).test(u.pathname);
-    } catch {
-      return false;
-    }
-  };
-
-  const getNiceAnchorText = (anchorToken) => {
-    const token = String(anchorToken || "").trim();
-    if (!token) return "";
-
-    // Prefer actual element text if we can find the target.
-    const byId = $(`[id="${token}"]`);
-    if (byId && byId.length) {
-      const t = String(byId.first().text() || "").trim();
-      if (t) return t;
-    }
-
-    // Fallback: de-hyphenate the token (common for "pretty" anchors).
-    const pretty = token.replace(/-/g, " ");
-    return pretty;
-  };
-
-  // Rewrite self-links to local hashes, and collect targets.
-  $("a[href]").each((_, a) => {
-    const href = String($(a).attr("href") || "").trim();
-    if (!href) return;
-
-    if (href.startsWith("#")) {
-      const t = normalizeHash(href);
-      if (t) preserveIds.add(t);
-      return;
-    }
-
-    // Convert absolute (or relative) Confluence links to this same page into local anchors.
-    const abs = absolutizeMaybe(href, confluenceBase);
-    if (!rewriteSelfLinks) return;
-
-    if (abs.includes("#") && isSameConfluencePage(abs)) {
-      const u = new URL(abs);
-      const t = normalizeHash(u.hash);
-      if (t) {
-        // Keep as raw token to avoid unreadable %D0... hashes in output.
-        $(a).attr("href", `#${t}`);
-        preserveIds.add(t);
-        rewrittenSelfLinks += 1;
-
-        // Confluence "smart links" often export with the URL as the visible text.
-        // Replace that with a nicer human label (target heading text, if possible).
-        const currentText = String($(a).text() || "").trim();
-        const looksLikeUrl =
-          /^https?:\/\//i.test(currentText) &&
-          currentText.includes(`/pages/${pageId}`) &&
-          currentText.includes("#");
-        if (looksLikeUrl || currentText === abs || currentText === href) {
-          const nice = getNiceAnchorText(t);
-          if (nice) $(a).text(nice);
-        }
-      }
-    }
-  });
-
-  // Build a map of headings by normalized text to an element.
-  const headings = $("h1,h2,h3,h4,h5,h6").toArray();
-  const headingByText = new Map();
-  headings.forEach((h) => {
-    const text = $(h).text();
-    const key = normalizeText(text);
-    if (!key) return;
-    if (!headingByText.has(key)) headingByText.set(key, h);
-    // Always preserve existing heading ids.
-    const id = $(h).attr("id");
-    if (id) preserveIds.add(String(id));
-  });
-
-  // If TOC links use Confluence id-... scheme, ensure the target heading gets that id.
-  $('a[href^="#id-"]').each((_, a) => {
-    const href = String($(a).attr("href") || "").trim();
-    const desiredId = normalizeHash(href);
-    const linkText = $(a).text();
-    const key = normalizeText(linkText);
-    if (!desiredId || !key) return;
-    preserveIds.add(desiredId);
-
-    const heading = headingByText.get(key);
-    if (!heading) return;
-    const currentId = $(heading).attr("id");
-    if (!currentId) {
-      $(heading).attr("id", desiredId);
-    }
-    preserveIds.add($(heading).attr("id"));
-  });
-
-  // Convert "pretty" Confluence anchors (often based on heading text) to the real heading id.
-  // Example: href="#%D0%A2%D0%BE%D0%BF-%D0%B8%D0%B3%D1%80" -> match heading "Топ игр".
-  $('a[href^="#"]').each((_, a) => {
-    const href = String($(a).attr("href") || "").trim();
-    if (!href || href.startsWith("#id-")) return;
-    const decoded = normalizeHash(href);
-    if (!decoded) return;
-
-    const key = normalizeText(decoded, { treatHyphenAsSpace: true });
-    if (!key) return;
-    const heading = headingByText.get(key);
-    if (!heading) return;
-
-    // Ensure heading has an id.
-    let hid = $(heading).attr("id");
-    if (!hid) {
-      // Prefer stable id- prefix if missing.
-      hid = `id-${$(heading).text().trim().replace(/\s+/g, "")}`;
-      $(heading).attr("id", hid);
-    }
-    preserveIds.add(hid);
-    $(a).attr("href", `#${hid}`);
-  });
-
-  // Confluence sometimes uses name="..." anchors; convert them to ids so #... works.
-  $("[name]").each((_, el) => {
-    const name = String($(el).attr("name") || "").trim();
-    if (!name) return;
-    if (!$(el).attr("id")) $(el).attr("id", name);
-    preserveIds.add(name);
-  });
-
-  // If there are preserveIds, ensure matching elements keep the id.
-  return { preserveIds, rewrittenSelfLinks, pageUrl: pageUrl || null };
 }
 
-function stripConfluenceNoise($, { keepIds, preserveIds }) {
-  // Remove scripts/styles/metadata that BookStack doesn't need.
-  $("script, style, meta, link, noscript").remove();
-
-  // Remove Confluence-specific attributes that only add noise.
-  // Keep href/src, alt, title, colspan/rowspan, and a few accessibility attrs.
-  const allowed = new Set([
-    "href",
-    "src",
-    "alt",
-    "title",
-    "colspan",
-    "rowspan",
-    "target",
-    "rel",
-    "width",
-    "height",
-    "aria-label",
-    "aria-hidden",
-    "name",
-  ]);
-
-  $("*").each((_, el) => {
-    const attribs = el.attribs || {};
-    for (const [name] of Object.entries(attribs)) {
-      if (name === "id" && attribs.id === "__root") continue; // internal wrapper
-      if (name === "id" && keepIds) continue;
-      if (name === "id" && preserveIds && preserveIds.has(attribs.id)) continue;
-      if (name === "id" && !keepIds) {
-        $(el).removeAttr("id");
-        continue;
-      }
-      if (name === "class") {
-        $(el).removeAttr("class");
-        continue;
-      }
-      if (name.startsWith("data-")) {
-        $(el).removeAttr(name);
-        continue;
-      }
-      if (!allowed.has(name)) {
-        // keep inline styles if present (часто они полезны для “похожести”)
-        if (name === "style") continue;
-        $(el).removeAttr(name);
-      }
-    }
-  });
-}
-
-async function humanizeConfluenceLinkText(
-  $,
-  {
-    currentPageId,
-    confluenceBase,
-    getTitleById,
-    rewriteSamePageHrefToHash = true,
-  },
-) {
-  const base = confluenceBase;
-  const tasks = [];
-  const limit = pLimit(6);
-
-  $("a[href]").each((_, a) => {
-    const $a = $(a);
-    const href = String($a.attr("href") || "").trim();
-    if (!href) return;
-
-    const linkedId = extractConfluencePageIdFromHref(href, base);
-    if (!linkedId) return;
-
-    tasks.push(
-      limit(async () => {
-        // If this is a same-page link with a hash, keep it as local #... (for BookStack friendliness).
-        if (rewriteSamePageHrefToHash) {
-          try {
-            const abs = absolutizeMaybe(href, base);
-            const u = new URL(abs);
-            if (linkedId === String(currentPageId) && u.hash) {
-              const h = decodeURIComponent(u.hash.replace(/^#/, ""));
-              $a.attr("href", `#${h}`);
-            }
-          } catch {
-            // ignore
-          }
-        }
-
-        const text = $a.text();
-        const shouldUseTitle =
-          looksLikeUrlText(text) || looksLikeJoinedMixedScriptText(text);
-        if (!shouldUseTitle) return;
-
-        const title = await getTitleById(linkedId).catch(() => "");
-        if (title) $a.text(title);
-      }),
-    );
-  });
-
-  await Promise.all(tasks);
+function addOutDirOption(cmd) {
+  return cmd.option(
+    "--out-dir <dir>",
+    "Папка для сохранения HTML (default: ./confluence-export)",
+    "confluence-export",
+  );
 }
 
-async function inlineImagesInHtml(
-  html,
-  { confluenceBase, confluenceAuthHeader, concurrency, maxBytes },
-) {
-  const $ = cheerio.load(html, { decodeEntities: false });
-
-  // Make src/href absolute early so we can fetch.
-  $("img").each((_, img) => {
-    const src = $(img).attr("src");
-    if (src) $(img).attr("src", absolutizeMaybe(src, confluenceBase));
-  });
-  $("a").each((_, a) => {
-    const href = $(a).attr("href");
-    if (href) $(a).attr("href", absolutizeMaybe(href, confluenceBase));
-  });
-
-  const imgs = $("img").toArray();
-  const limit = pLimit(concurrency);
-  const bySrc = new Map();
-  let ok = 0;
-  let fail = 0;
-  let skipped = 0;
-
-  await Promise.all(
-    imgs.map((img) =>
-      limit(async () => {
-        const src = String($(img).attr("src") || "").trim();
-        if (!src) return;
-        if (src.startsWith("data:")) {
-          skipped += 1;
-          return;
-        }
-
-        if (bySrc.has(src)) {
-          $(img).attr("src", bySrc.get(src));
-          ok += 1;
-          return;
-        }
-
-        try {
-          const u = new URL(src);
-          const headers = {};
-          if (u.origin === new URL(confluenceBase).origin) {
-            headers.Authorization = confluenceAuthHeader;
-          }
-
-          const { contentType, bytes } = await fetchBinary(src, { headers });
-          if (maxBytes && bytes.length > maxBytes) {
-            throw new Error(
-              `Слишком большой файл: ${bytes.length} bytes > ${maxBytes}`,
-            );
-          }
-
-          const ct =
-            contentType.split(";")[0].trim() ||
-            guessContentTypeByPathname(src) ||
-            "application/octet-stream";
-          const b64 = bytes.toString("base64");
-          const dataUri = `data:${ct};base64,${b64}`;
-          bySrc.set(src, dataUri);
-          $(img).attr("src", dataUri);
-          ok += 1;
-        } catch (e) {
-          fail += 1;
-          // Keep original src on error.
-          console.warn(
-            `[warn] Не удалось встроить картинку: ${src}\n${String(
-              e && e.message ? e.message : e,
-            )}`,
-          );
-        }
-      }),
-    ),
+function addStateOption(cmd) {
+  return cmd.option(
+    "--state <path>",
+    "Файл состояния синхронизации и кэша картинок/вложений (default: ./.c2b-state.json)",
+    ".c2b-state.json",
   );
-
-  return {
-    html: $.root().html(),
-    stats: { ok, fail, skipped, unique: bySrc.size },
-  };
 }
 
-async function main() {
-  const program = new Command();
-  program
-    .name("confluence-to-bookstack")
-    .description(
-      "CLI: выгрузка страниц Confluence в HTML (и импорт в BookStack)",
-    )
-    .requiredOption("--page <urlOrId>", "URL страницы Confluence или pageId")
-    .option(
-      "--confluence-base <url>",
-      "База Confluence, напр. https://site.atlassian.net/wiki",
-    )
-    .option(
-      "--confluence-user <email>",
-      "Confluence user/email (или env CONFLUENCE_USER)",
-    )
-    .option(
-      "--confluence-token <token>",
-      "Confluence API token (или env CONFLUENCE_TOKEN)",
-    )
+function addBookstackOptions(cmd) {
+  return cmd
     .option(
       "--bookstack-base <url>",
       "База BookStack, напр. https://book.example.com",
@@ -843,7 +345,11 @@ async function main() {
     .option(
       "--bookstack-token-secret <secret>",
       "BookStack token secret (или env BOOKSTACK_TOKEN_SECRET)",
-    )
+    );
+}
+
+function addTargetOptions(cmd) {
+  return cmd
     .option(
       "--book-id <id>",
       "BookStack book_id (если страница без главы)",
@@ -855,72 +361,285 @@ async function main() {
     .option(
       "--book-name <name>",
       "BookStack book name (будет найден/создан, если не указан book-id/chapter-id)",
+    );
+}
+
+function addSyncOptions(cmd) {
+  return cmd
+    .option(
+      "--config <path>",
+      "Путь к bookstack-config.yml (карта page name -> link для синхронизации)",
     )
-    .option("--title <name>", "Переопределить заголовок страницы в BookStack")
+    .option("--force", "Обновить все страницы, даже если они не менялись")
     .option(
-      "--dry-run",
-      "Не создавать страницу в BookStack, только вывести/сохранить HTML",
+      "--no-bookstack-index-cache",
+      "Не сохранять индекс страниц BookStack (slug -> id) в --state между запусками",
     )
     .option(
-      "--out <file>",
-      "Куда сохранить итоговый HTML (для dry-run или отладки)",
+      "--overwrite-conflicts",
+      "Перезаписывать страницы, изменённые в BookStack после последней синхронизации",
     )
     .option(
-      "--out-dir <dir>",
-      "Папка для сохранения HTML (default: ./confluence-export)",
-      "confluence-export",
+      "--plan",
+      "Ничего не записывать: сравнить с текущими страницами BookStack и показать, что изменится",
     )
     .option(
-      "--recursive",
-      "Рекурсивно выгружать Confluence-страницы, на которые есть ссылки",
+      "--plan-report <path>",
+      "Сохранить полный отчёт --plan (.json — JSON, иначе HTML)",
     )
     .option(
-      "--max-depth <n>",
-      "Глубина рекурсии (default: 1)",
-      (v) => Number(v),
-      1,
+      "--create-missing",
+      "Создавать страницы, которых нет в конфиге (в --book-id/--chapter-id/--book-name), и дописывать их в конфиг",
+    );
+}
+
+function addBackupOptions(cmd) {
+  return cmd
+    .option(
+      "--backup-dir <dir>",
+      "Куда сохранять текущие страницы BookStack перед перезаписью",
+      ".c2b-backups",
     )
-    .option("--no-inline-images", "Не встраивать картинки (оставить ссылки)")
+    .option("--no-backup", "Не сохранять страницы BookStack перед перезаписью");
+}
+
+function addHttpOptions(cmd) {
+  return cmd
     .option(
-      "--concurrency <n>",
-      "Параллельные скачивания картинок (default: 4)",
+      "--max-attempts <n>",
+      "Попыток на HTTP-запрос при сетевых ошибках, 429 и 5xx (POST — только 429 и ошибки соединения) (default: 4)",
       (v) => Number(v),
       4,
     )
     .option(
-      "--max-bytes <n>",
-      "Макс размер одной картинки в байтах (default: 15000000)",
+      "--retry-budget <sec>",
+      "Макс. время на все паузы перед повторами за запуск, сек (default: 600)",
       (v) => Number(v),
-      15_000_000,
+      600,
+    );
+}
+
+/**
+ * Subcommand that the deprecated flat flags correspond to.
+ */
+function legacyCommandName(opts) {
+  if (opts.mirrorTree) return "mirror";
+  if (opts.syncBookstack) return "sync";
+  if (opts.dryRun || opts.site) return "export";
+  return "create";
+}
+
+async function main() {
+  const program = new Command();
+  program
+    .name("confluence-to-bookstack")
+    .description(
+      "CLI: выгрузка страниц Confluence в HTML (и импорт в BookStack)",
+    )
+    .enablePositionalOptions();
+
+  const exportCmd = program
+    .command("export")
+    .description(
+      "Выгрузить страницы Confluence в файлы (HTML-фрагменты, Markdown или офлайн-сайт)",
+    );
+  addSourceOptions(exportCmd);
+  addRenderOptions(exportCmd, {
+    images:
+      "Картинки: inline (base64 в HTML), assets (файлы в <out-dir>/assets), link (оставить ссылки) (default: inline)",
+  });
+  addFormatOption(exportCmd);
+  addOutDirOption(exportCmd);
+  exportCmd
+    .option("--title <name>", "Переопределить заголовок корневой страницы")
+    .option("--out <file>", "Куда сохранить HTML корневой страницы")
+    .option(
+      "--site",
+      "Офлайн-сайт: полные HTML-страницы, style.css и index.html с деревом страниц в --out-dir",
     )
-    .option("--keep-ids", "Сохранить id атрибуты (по умолчанию удаляются)")
     .option(
       "--no-fragment",
       "Сохранять полный HTML (иначе сохраняется только фрагмент body)",
+    );
+  addHttpOptions(exportCmd).action((o) => run({ ...o, dryRun: true }));
+
+  const syncCmd = program
+    .command("sync")
+    .description(
+      "Обновить страницы BookStack из bookstack-config.yml (с заменой ссылок Confluence на BookStack)",
+    );
+  addSourceOptions(syncCmd);
+  addRenderOptions(syncCmd, {
+    images:
+      "Картинки: inline (base64 в HTML), gallery (загрузка в галерею BookStack), link (оставить ссылки) (default: inline)",
+  });
+  addFormatOption(syncCmd);
+  addOutDirOption(syncCmd);
+  addBookstackOptions(syncCmd);
+  addSyncOptions(syncCmd);
+  addStateOption(syncCmd);
+  addTargetOptions(syncCmd);
+  addBackupOptions(syncCmd);
+  addHttpOptions(syncCmd).action((o) => run({ ...o, syncBookstack: true }));
+
+  const mirrorCmd = program
+    .command("mirror")
+    .description(
+      "Перенести дерево Confluence в BookStack: верхняя страница -> книга, 2-й уровень -> главы, глубже -> страницы",
+    );
+  addSourceOptions(mirrorCmd);
+  addRenderOptions(mirrorCmd, {
+    images:
+      "Картинки: inline (base64 в HTML), gallery (загрузка в галерею BookStack), link (оставить ссылки) (default: inline)",
+  });
+  addOutDirOption(mirrorCmd);
+  addBookstackOptions(mirrorCmd);
+  addStateOption(mirrorCmd);
+  addBackupOptions(mirrorCmd);
+  mirrorCmd.option("--dry-run", "Только показать план переноса");
+  addHttpOptions(mirrorCmd).action((o) => run({ ...o, mirrorTree: true }));
+
+  const createCmd = program
+    .command("create")
+    .description("Создать в BookStack одну страницу из страницы Confluence");
+  addSourceOptions(createCmd, { tree: false });
+  createCmd.option(
+    "--title <name>",
+    "Переопределить заголовок страницы в BookStack",
+  );
+  addRenderOptions(createCmd, {
+    images:
+      "Картинки: inline (base64 в HTML), gallery (загрузка в галерею BookStack), link (оставить ссылки) (default: inline)",
+  });
+  addFormatOption(createCmd);
+  addBookstackOptions(createCmd);
+  addTargetOptions(createCmd);
+  addStateOption(createCmd);
+  addHttpOptions(createCmd).action((o) => {
+    requireNonEmpty(o.page, "Для create нужен --page <urlOrId>");
+    return run(o);
+  });
+
+  const validateCmd = program
+    .command("validate")
+    .alias("validate-config")
+    .description(
+      "Проверить bookstack-config.yml: формат ссылок, дубликаты, наличие страниц в BookStack",
     )
-    .option(
-      "--config <path>",
-      "Путь к bookstack-config.yml (карта page name -> link для синхронизации)",
+    .option("--config <path>", "Путь к bookstack-config.yml")
+    .option("--offline", "Не обращаться к BookStack API")
+    .option("--strict", "Ненулевой код выхода и при предупреждениях");
+  addBookstackOptions(validateCmd);
+  addHttpOptions(validateCmd).action((o) => runValidateConfig(o));
+
+  const restoreCmd = program
+    .command("restore")
+    .description(
+      "Вернуть страницы BookStack из бэкапа (каталог с manifest.json)",
     )
+    .requiredOption("--from <dir>", "Каталог бэкапа");
+  addBookstackOptions(restoreCmd);
+  addBackupOptions(restoreCmd);
+  addHttpOptions(restoreCmd).action((o) => runRestore(o));
+
+  // Deprecated: the flat flags of earlier versions, without a subcommand.
+  addSourceOptions(program);
+  addRenderOptions(program, {
+    images:
+      "Картинки: inline (base64 в HTML), gallery (загрузка в галерею BookStack), assets (файлы в <out-dir>/assets, только dry-run), link (оставить ссылки) (default: inline)",
+  });
+  addFormatOption(program);
+  addOutDirOption(program);
+  addBookstackOptions(program);
+  addTargetOptions(program);
+  addSyncOptions(program);
+  addStateOption(program);
+  addBackupOptions(program);
+  addHttpOptions(program)
+    .option("--title <name>", "Переопределить заголовок страницы в BookStack")
+    .option("--out <file>", "Куда сохранить итоговый HTML")
+    .option("--site", "Офлайн-сайт (см. export --site)")
+    .option("--no-fragment", "Сохранять полный HTML")
+    .option("--dry-run", "То же что export")
+    .option("--sync-bookstack", "То же что sync")
+    .option("--mirror-tree", "То же что mirror")
     .option(
-      "--sync-bookstack",
-      "Экспорт + обновление страниц в BookStack по конфигу (замена ссылок Confluence на BookStack)",
-    )
-    .parse(process.argv);
+      "--no-inline-images",
+      "Не встраивать картинки, то же что --images link",
+    );
+  for (const option of program.options) option.hideHelp();
+  program.action((o) => {
+    if (!o.page && !o.space) {
+      program.help({ error: true });
+    }
+    const name = legacyCommandName(o);
+    console.warn(
+      `[warn] Запуск без подкоманды устарел, используйте: confluence-to-bookstack ${name} ... (см. --help)`,
+    );
+    return run(o);
+  });
 
-  const opts = program.opts();
+  await program.parseAsync(process.argv);
+}
 
-  const { pageId, pageUrl } = parseConfluenceInput(opts.page);
-  const confluenceUser = opts.confluenceUser || process.env.CONFLUENCE_USER;
-  const confluenceToken = opts.confluenceToken || process.env.CONFLUENCE_TOKEN;
-  requireNonEmpty(
-    confluenceUser,
-    "Нужно указать --confluence-user или env CONFLUENCE_USER",
-  );
-  requireNonEmpty(
-    confluenceToken,
-    "Нужно указать --confluence-token или env CONFLUENCE_TOKEN",
-  );
+/**
+ * Export / sync / mirror / single-page create. `opts` are the command's
+ * options plus the mode flag set by the subcommand (dryRun, syncBookstack or
+ * mirrorTree; none for create).
+ */
+async function run(opts) {
+  configureRequests(opts);
+
+  const format = String(opts.format || "html").toLowerCase();
+  if (!["html", "markdown"].includes(format)) {
+    throw new Error(
+      `Неизвестный --format "${opts.format}" (ожидается html или markdown)`,
+    );
+  }
+
+  if (
+    opts.site &&
+    (format !== "html" || opts.syncBookstack || opts.mirrorTree)
+  ) {
+    throw new Error("--site несовместим с --format markdown, sync и mirror");
+  }
+
+  const imagesMode = String(
+    opts.images || (opts.inlineImages === false ? "link" : "inline"),
+  ).toLowerCase();
+  if (!["inline", "gallery", "assets", "link"].includes(imagesMode)) {
+    throw new Error(
+      `Неизвестный --images "${opts.images}" (ожидается inline, gallery, assets или link)`,
+    );
+  }
+  if (
+    imagesMode === "assets" &&
+    (opts.syncBookstack || opts.mirrorTree || !(opts.dryRun || opts.site))
+  ) {
+    throw new Error("--images assets работает только в export");
+  }
+  if (imagesMode === "gallery" && opts.dryRun && !opts.syncBookstack) {
+    console.warn(
+      "[warn] --images gallery работает только при записи в BookStack; в dry-run картинки остаются ссылками",
+    );
+  }
+
+  const spaceKey = opts.space ? String(opts.space).trim() : "";
+  if ((opts.plan || opts.planReport) && !opts.syncBookstack) {
+    throw new Error("--plan работает только в sync");
+  }
+  if (opts.mirrorTree && opts.syncBookstack) {
+    throw new Error(
+      "mirror и sync (--mirror-tree и --sync-bookstack) нельзя использовать вместе",
+    );
+  }
+  if (!opts.page && !spaceKey) {
+    throw new Error("Нужно указать --page <urlOrId> или --space <KEY>");
+  }
+  const pageRef = opts.page
+    ? parseConfluenceInput(opts.page)
+    : { pageId: null, pageUrl: null };
+  const { pageUrl } = pageRef;
 
   const confluenceBase =
     opts.confluenceBase ||
@@ -928,125 +647,87 @@ async function main() {
     process.env.CONFLUENCE_BASE;
   requireNonEmpty(
     confluenceBase,
-    "Нужно указать --confluence-base (или env CONFLUENCE_BASE), если вы передаёте только pageId",
+    "Нужно указать --confluence-base (или env CONFLUENCE_BASE), если вы передаёте только pageId или --space",
   );
 
-  const confluenceAuthHeader = basicAuthHeader(confluenceUser, confluenceToken);
-  const confluenceBaseNormalized = confluenceBase.replace(/\/+$/, "");
-
-  // Cache for Confluence content (title only & full export).
-  const titleCache = new Map(); // id -> Promise<string>
-  const fullCache = new Map(); // id -> Promise<{id,title,html,spaceKey}>
-
-  const getTitleById = (id) => {
-    const key = String(id);
-    if (titleCache.has(key)) return titleCache.get(key);
-    const url = `${confluenceBaseNormalized}/rest/api/content/${key}`;
-    const p = fetchJson(url, {
-      headers: { Authorization: confluenceAuthHeader },
-    })
-      .then((j) => String(j.title || "").trim())
-      .catch(() => "");
-    titleCache.set(key, p);
-    return p;
-  };
-
-  const getFullById = (id) => {
-    const key = String(id);
-    if (fullCache.has(key)) return fullCache.get(key);
-    const url = `${confluenceBaseNormalized}/rest/api/content/${key}?expand=body.export_view,space,version`;
-    const p = fetchJson(url, {
-      headers: { Authorization: confluenceAuthHeader },
-    })
-      .then((j) => {
-        const title = String(j.title || "").trim();
-        const html =
-          (j.body && j.body.export_view && j.body.export_view.value) || "";
-        const spaceKey = j.space && j.space.key ? String(j.space.key) : "";
-        return { id: key, title, html, spaceKey };
-      })
-      .catch((e) => {
-        throw e;
-      });
-    fullCache.set(key, p);
-    return p;
-  };
-
-  const renderCleanFragment = async ({ id, pageUrlForThis }) => {
-    const page = await getFullById(id);
-    const title =
-      opts.title && String(opts.title).trim() && id === pageId
-        ? String(opts.title).trim()
-        : page.title || `Confluence page ${id}`;
-
-    let html = page.html;
+  const confluenceFlavor = resolveConfluenceFlavor(
+    opts.confluenceFlavor || process.env.CONFLUENCE_FLAVOR,
+    confluenceBase,
+  );
+  const confluenceUser = opts.confluenceUser || process.env.CONFLUENCE_USER;
+  const confluenceToken = opts.confluenceToken || process.env.CONFLUENCE_TOKEN;
+  if (confluenceFlavor === "cloud") {
     requireNonEmpty(
-      html,
-      `Confluence вернул пустой body.export_view (pageId=${id})`,
+      confluenceUser,
+      "Нужно указать --confluence-user или env CONFLUENCE_USER (для Confluence Server с personal access token: --confluence-flavor server)",
     );
+  }
+  requireNonEmpty(
+    confluenceToken,
+    "Нужно указать --confluence-token или env CONFLUENCE_TOKEN",
+  );
 
-    html = `<div id="__root">${html}</div>`;
+  const confluence = createConfluenceClient({
+    base: confluenceBase,
+    user: confluenceUser,
+    token: confluenceToken,
+    flavor: confluenceFlavor,
+    source: opts.source,
+  });
+  // /display/SPACE/Title and spaceKey+title URLs carry no id.
+  let pageId = pageRef.pageId;
+  if (!pageId && pageRef.title) {
+    pageId = await confluence.findPageId(pageRef.spaceKey, pageRef.title);
+    requireNonEmpty(
+      pageId,
+      `Страница "${pageRef.title}" не найдена в пространстве ${pageRef.spaceKey}`,
+    );
+    console.log(
+      `[info] ${pageRef.spaceKey} / "${pageRef.title}" -> pageId=${pageId}`,
+    );
+  }
+  const confluenceAuthHeader = confluence.authHeader;
+  const confluenceBaseNormalized = confluence.base;
 
-    if (opts.inlineImages) {
-      console.log(
-        `[info] Inline images for ${id}... (concurrency=${opts.concurrency}, maxBytes=${opts.maxBytes})`,
-      );
-      const inlined = await inlineImagesInHtml(html, {
-        confluenceBase: confluenceBaseNormalized,
-        confluenceAuthHeader,
-        concurrency: opts.concurrency,
-        maxBytes: opts.maxBytes,
-      });
-      html = inlined.html;
-    }
+  const titleForPage = (page, id) =>
+    opts.title && String(opts.title).trim() && id === pageId
+      ? String(opts.title).trim()
+      : page.title || `Confluence page ${id}`;
 
-    const $ = cheerio.load(html, { decodeEntities: false });
+  // --images assets: files go to <out-dir>/assets; the download cache is shared
+  // by pages in the same directory, since it holds relative paths.
+  const assetCaches = new Map();
 
-    // Improve link text (URL -> title) for Confluence page links.
-    await humanizeConfluenceLinkText($, {
-      currentPageId: id,
-      confluenceBase: confluenceBaseNormalized,
-      getTitleById,
-      rewriteSamePageHrefToHash: true,
-    });
+  const renderCleanFragment = async ({ id, pageUrlForThis, assetsFromDir }) => {
+    const page = await confluence.getPage(id);
+    const title = titleForPage(page, id);
+    requireNonEmpty(
+      page.html,
+      `Confluence вернул пустой body.${confluence.source} (pageId=${id})`,
+    );
 
-    // Normalize anchors within page (self-links, pretty anchors, etc).
-    const normalized = normalizeAnchorsAndLinks($, {
+    const fromDir = assetsFromDir || outDir;
+    if (imagesMode === "assets" && !assetCaches.has(fromDir)) {
+      assetCaches.set(fromDir, new Map());
+    }
+    const { html, linkedIds } = await convertPage(page.html, {
+      confluence,
+      spaceKey: page.spaceKey,
+      pageId: String(id),
       pageUrl: pageUrlForThis || null,
-      pageId: id,
-      confluenceBase: confluenceBaseNormalized,
-      rewriteSelfLinks: true,
-    });
-
-    // Collect linked page ids for recursion (after link normalization).
-    const linkedIds = new Set();
-    $("a[href]").each((_, a) => {
-      const href = String($(a).attr("href") || "").trim();
-      const pid = extractConfluencePageIdFromHref(
-        href,
-        confluenceBaseNormalized,
-      );
-      if (pid && pid !== String(id)) linkedIds.add(pid);
-    });
-
-    stripConfluenceNoise($, {
+      images: imagesMode,
+      assetsDir: path.join(outDir, "assets"),
+      assetsFromDir: fromDir,
+      imageCache: assetCaches.get(fromDir),
+      concurrency: opts.concurrency,
+      maxBytes: opts.maxBytes,
+      jiraBase: opts.jiraBase || process.env.JIRA_BASE,
       keepIds: Boolean(opts.keepIds),
-      preserveIds: normalized.preserveIds,
+      fragment: opts.fragment !== false,
+      log: console.log,
     });
 
-    if (opts.fragment) {
-      const body = $("body");
-      if (body.length) {
-        html = body.html() || "";
-      } else {
-        const root = $("#__root");
-        html = root.length ? root.html() : $.root().html();
-      }
-    } else {
-      html = $.root().html();
-    }
-
-    return { id: String(id), title, html, linkedIds };
+    return { id: String(id), title, html, linkedIds, version: page.version };
   };
 
   const outDir = path.resolve(
@@ -1056,36 +737,211 @@ async function main() {
   ensureDirSync(outDir);
 
   const makeOutPath = ({ title, id, isRoot }) => {
-    if (isRoot && opts.out) return path.resolve(process.cwd(), opts.out);
+    // --site keeps every page in --out-dir so relative links work.
+    if (isRoot && opts.out && !opts.site) {
+      return path.resolve(process.cwd(), opts.out);
+    }
     const safe = sanitizeFilename(title);
     // Keep title first, but ensure uniqueness by appending the id.
-    return path.join(outDir, `${safe}__${id}.fragment.html`);
+    const ext =
+      format === "markdown" ? ".md" : opts.site ? ".html" : ".fragment.html";
+    return path.join(outDir, `${safe}__${id}${ext}`);
+  };
+
+  // Incremental sync: pages whose Confluence version matches the state file
+  // are not rendered (no image downloads) unless --force.
+  const statePath = path.resolve(
+    process.cwd(),
+    String(opts.state || ".c2b-state.json"),
+  );
+  const syncState =
+    opts.syncBookstack || imagesMode === "gallery" || opts.attachments
+      ? loadSyncState(statePath)
+      : null;
+  // Pages are backed up before they are overwritten (unless --no-backup).
+  const makeBackup = (bookstack, log) =>
+    opts.backup
+      ? bookstack.createBackup({
+          root: path.resolve(process.cwd(), opts.backupDir),
+          log,
+        })
+      : null;
+  const logBackup = (backup, log) => {
+    if (backup && backup.manifest.pages.length) {
+      log(
+        `[backup] Сохранено страниц: ${backup.manifest.pages.length} -> ${backup.dir} (восстановить: restore --from "${backup.dir}")`,
+      );
+    }
+  };
+
+  // --plan must not write anything, the state file included.
+  const persistSyncState = () => {
+    if (!opts.plan) saveSyncState(statePath, syncState);
+  };
+  const galleryCache = () => {
+    if (!syncState.images) syncState.images = { byHash: {}, bySrc: {} };
+    return syncState.images;
+  };
+  const attachmentCache = () => {
+    if (!syncState.attachments) syncState.attachments = {};
+    return syncState.attachments;
+  };
+
+  // Upload a page's attachments to BookStack and rewrite links in `$`.
+  const syncAttachments = async (
+    $,
+    { confluenceId, bookstackBase, bsAuthHeader, bsPageId, log },
+  ) => {
+    const attachments = await confluence.listAttachments(confluenceId);
+    if (!attachments.length) return 0;
+    const hrefByFilename = await uploadAttachmentsToBookstack(attachments, {
+      bookstackBase,
+      bsAuthHeader,
+      pageId: bsPageId,
+      cache: attachmentCache(),
+      confluenceAuthHeader,
+      maxBytes: opts.maxAttachmentBytes,
+      dryRun: Boolean(opts.plan),
+      log,
+    });
+    persistSyncState();
+    const count = rewriteAttachmentLinks($, {
+      confluenceBase: confluenceBaseNormalized,
+      pageId: confluenceId,
+      hrefByFilename,
+    });
+    log(
+      `[info] Вложения: ${hrefByFilename.size}/${attachments.length} в BookStack, ссылок заменено ${count}`,
+    );
+    return count;
   };
 
   // Export (with optional recursion) when dry-run or sync-bookstack.
+  // Pages are discovered from three sources: the root page (or space roots),
+  // the Confluence page tree (--include-children / --space) and links (--recursive).
+  // `visited` dedupes across all of them.
   let exported = [];
-  if (opts.dryRun || opts.syncBookstack) {
+  if (opts.dryRun || opts.syncBookstack || opts.mirrorTree || opts.site) {
+    const walkTree = Boolean(
+      opts.includeChildren || spaceKey || opts.mirrorTree,
+    );
+    // Pages reached through the page tree (as opposed to links only).
+    const treeIds = new Set();
     const visited = new Set();
-    const queue = [{ id: String(pageId), depth: 0, pageUrlForThis: pageUrl }];
+    const queue = [];
+    // id -> { parentId, position } for pages discovered through the page tree.
+    const hierarchy = new Map();
+
+    const walkChildren = async (id, depth) => {
+      treeIds.add(id);
+      const children = await confluence.getChildPages(id);
+      if (children.length) {
+        console.log(`[info] pageId=${id}: ${children.length} child page(s)`);
+      }
+      children.forEach((c, position) => {
+        hierarchy.set(c.id, { parentId: String(id), position });
+        // Also children already exported through a link: they still belong
+        // to the tree and their own children have to be walked.
+        if (!treeIds.has(c.id)) {
+          // Tree walk is not limited by --max-depth (that applies to links).
+          queue.push({ id: c.id, depth, pageUrlForThis: null, inTree: true });
+        }
+      });
+    };
+
+    if (pageId) {
+      queue.push({
+        id: String(pageId),
+        depth: 0,
+        pageUrlForThis: pageUrl,
+        inTree: walkTree,
+      });
+    }
+    if (spaceKey) {
+      console.log(`[info] Listing root pages of space ${spaceKey}...`);
+      const roots = await confluence.getSpaceRootPages(spaceKey);
+      console.log(`[info] Space ${spaceKey}: ${roots.length} root page(s)`);
+      roots.forEach((r, position) => {
+        if (!hierarchy.has(r.id)) {
+          hierarchy.set(r.id, { parentId: null, position });
+        }
+        queue.push({ id: r.id, depth: 0, pageUrlForThis: null, inTree: true });
+      });
+    }
 
     while (queue.length) {
       const item = queue.shift();
       if (!item) break;
-      const { id, depth, pageUrlForThis } = item;
-      if (visited.has(id)) continue;
+      const { id, depth, pageUrlForThis, inTree } = item;
+      if (visited.has(id)) {
+        // Exported through a link first, reached through the tree now.
+        if (inTree && !treeIds.has(id)) await walkChildren(id, depth);
+        continue;
+      }
       visited.add(id);
 
       console.log(`[info] Export pageId=${id} depth=${depth}`);
-      const res = await renderCleanFragment({ id, pageUrlForThis });
+      const prev = syncState && opts.syncBookstack ? syncState.pages[id] : null;
+      let res = null;
+      if (prev && !opts.force) {
+        const page = await confluence.getPage(id);
+        if (page.version != null && page.version === prev.version) {
+          console.log(
+            `[info] Не изменилась (version=${page.version}), рендер пропущен`,
+          );
+          res = {
+            id: String(id),
+            title: titleForPage(page, id),
+            html: null,
+            linkedIds: new Set(prev.linkedIds || []),
+            version: page.version,
+            unchanged: true,
+            pageUrlForThis,
+          };
+        }
+      }
+      if (!res) {
+        const isRoot = id === String(pageId);
+        res = await renderCleanFragment({
+          id,
+          pageUrlForThis,
+          // The file name needs the title, but its directory does not.
+          assetsFromDir: path.dirname(makeOutPath({ title: "", id, isRoot })),
+        });
+        const outPath = makeOutPath({ title: res.title, id: res.id, isRoot });
+        if (opts.attachments && !opts.syncBookstack && !opts.mirrorTree) {
+          // Dry-run: keep attachments next to the HTML file, links point there.
+          const attachments = await confluence.listAttachments(id);
+          const hrefByFilename = await saveAttachmentsLocally(attachments, {
+            dir: `${outPath.replace(/(\.fragment)?\.(html?|md)$/i, "")}.attachments`,
+            fromDir: path.dirname(outPath),
+            confluenceAuthHeader,
+            maxBytes: opts.maxAttachmentBytes,
+          });
+          if (hrefByFilename.size) {
+            const $ = cheerio.load(res.html, { decodeEntities: false });
+            rewriteAttachmentLinks($, {
+              confluenceBase: confluenceBaseNormalized,
+              pageId: id,
+              hrefByFilename,
+            });
+            res.html = $("body").length ? $("body").html() : $.root().html();
+            console.log(
+              `[info] Saved ${hrefByFilename.size} attachment(s) for ${id}`,
+            );
+          }
+        }
+        if (format === "markdown" || opts.site) {
+          // Written after the loop, once all sibling file paths are known.
+          res.outPath = outPath;
+        } else {
+          fs.writeFileSync(outPath, res.html, "utf8");
+          console.log(`[info] Saved HTML: ${outPath}`);
+        }
+      }
       exported.push(res);
 
-      const outPath = makeOutPath({
-        title: res.title,
-        id: res.id,
-        isRoot: id === String(pageId),
-      });
-      fs.writeFileSync(outPath, res.html, "utf8");
-      console.log(`[info] Saved HTML: ${outPath}`);
+      if (inTree) await walkChildren(id, depth);
 
       if (opts.recursive && depth < Number(opts.maxDepth || 1)) {
         for (const linkedId of res.linkedIds) {
@@ -1094,11 +950,227 @@ async function main() {
               id: linkedId,
               depth: depth + 1,
               pageUrlForThis: null,
+              inTree: false,
             });
           }
         }
       }
     }
+
+    for (const res of exported) {
+      const h = hierarchy.get(res.id);
+      res.parentId = h ? h.parentId : null;
+      res.position = h ? h.position : null;
+      res.inTree = treeIds.has(res.id);
+    }
+
+    if (opts.site) {
+      const site = writeStaticSite({
+        outDir,
+        pages: exported.filter((r) => r.outPath),
+        confluenceBase: confluenceBaseNormalized,
+      });
+      console.log(
+        `[info] Site: ${site.pages} page(s), index: ${path.join(outDir, "index.html")}, links to non-exported pages: ${site.missingLinks}`,
+      );
+    }
+
+    if (format === "markdown") {
+      const mdPathById = new Map();
+      for (const res of exported) {
+        if (res.outPath) mdPathById.set(res.id, res.outPath);
+      }
+      for (const res of exported) {
+        if (!res.outPath) continue;
+        const markdown = htmlToMarkdown(res.html, {
+          resolveHref: (href) => {
+            const linkedId = extractConfluencePageIdFromHref(
+              href,
+              confluenceBaseNormalized,
+            );
+            if (!linkedId || !mdPathById.has(linkedId)) return null;
+            let hash = "";
+            try {
+              hash = new URL(absolutizeMaybe(href, confluenceBaseNormalized))
+                .hash;
+            } catch {
+              // ignore
+            }
+            if (linkedId === res.id) return hash || null;
+            const rel = path
+              .relative(path.dirname(res.outPath), mdPathById.get(linkedId))
+              .split(path.sep)
+              .join("/");
+            return `${encodeURI(rel)}${hash}`;
+          },
+        });
+        fs.writeFileSync(res.outPath, markdown, "utf8");
+        console.log(`[info] Saved Markdown: ${res.outPath}`);
+      }
+    }
+    console.log(`[info] Exported pages: ${exported.length}`);
+  }
+
+  // Mirror the exported tree into BookStack books/chapters/pages.
+  if (opts.mirrorTree) {
+    const log = (msg) => {
+      console.log(msg);
+    };
+    const plan = planBookstackTree(exported);
+    const skippedIds = exported
+      .filter((r) => !r.inTree)
+      .map((r) => `${r.id} "${r.title}"`);
+    if (skippedIds.length) {
+      log(
+        `[mirror] Вне дерева (только по ссылкам), пропущено: ${skippedIds.join(", ")}`,
+      );
+    }
+    for (const entry of plan) {
+      const where = entry.chapter
+        ? `"${entry.book}" / "${entry.chapter.name}"`
+        : `"${entry.book}"`;
+      log(
+        `[mirror] ${where} <- "${entry.res.title}" (id=${entry.res.id}, priority=${entry.priority})`,
+      );
+    }
+    if (opts.dryRun) {
+      log("[info] Dry-run: skip BookStack mirror");
+      return;
+    }
+
+    const bookstackBase = String(
+      opts.bookstackBase || process.env.BOOKSTACK_BASE || "",
+    ).replace(/\/+$/, "");
+    requireNonEmpty(
+      bookstackBase,
+      "Для mirror нужен --bookstack-base (или env BOOKSTACK_BASE)",
+    );
+    const bsTokenId = opts.bookstackTokenId || process.env.BOOKSTACK_TOKEN_ID;
+    const bsTokenSecret =
+      opts.bookstackTokenSecret || process.env.BOOKSTACK_TOKEN_SECRET;
+    requireNonEmpty(
+      bsTokenId,
+      "Для mirror нужен --bookstack-token-id или env BOOKSTACK_TOKEN_ID",
+    );
+    requireNonEmpty(
+      bsTokenSecret,
+      "Для mirror нужен --bookstack-token-secret или env BOOKSTACK_TOKEN_SECRET",
+    );
+    const bookstack = createBookstackClient({
+      base: bookstackBase,
+      tokenId: bsTokenId,
+      tokenSecret: bsTokenSecret,
+    });
+    const bsAuthHeader = bookstack.authHeader;
+    const backup = makeBackup(bookstack, log);
+
+    const bookIdByName = new Map();
+    const chapterIdByKey = new Map();
+    const titleById = new Map();
+    const mirrored = createBookstackConfigIndex();
+    const written = [];
+    for (const entry of plan) {
+      if (!bookIdByName.has(entry.book)) {
+        const book = await bookstack.findOrCreateBook(entry.book);
+        log(
+          `[mirror] Книга "${book.name}" id=${book.id} (${book.existed ? "found" : "created"})`,
+        );
+        bookIdByName.set(entry.book, book.id);
+      }
+      const bookId = bookIdByName.get(entry.book);
+
+      let chapterId = null;
+      if (entry.chapter) {
+        const key = `${bookId}:${entry.chapter.name}`;
+        if (!chapterIdByKey.has(key)) {
+          const chapter = await bookstack.findOrCreateChapter({
+            bookId,
+            name: entry.chapter.name,
+            priority: entry.chapter.priority,
+          });
+          log(
+            `[mirror] Глава "${chapter.name}" id=${chapter.id} (${chapter.existed ? "found" : "created"})`,
+          );
+          chapterIdByKey.set(key, chapter.id);
+        }
+        chapterId = chapterIdByKey.get(key);
+      }
+
+      const page = await bookstack.upsertPage({
+        bookId,
+        chapterId,
+        name: entry.res.title,
+        html: entry.res.html,
+        priority: entry.priority,
+        backup,
+        log,
+      });
+      log(
+        `[ok] ${page.existed ? "Обновлена" : "Создана"} страница "${entry.res.title}" id=${page.id}`,
+      );
+      if (page.slug && page.book_slug) {
+        titleById.set(entry.res.id, entry.res.title);
+        mirrored.add({
+          name: entry.res.title,
+          link: `${bookstackBase}/books/${page.book_slug}/page/${page.slug}`,
+          confluenceId: entry.res.id,
+        });
+      }
+      written.push({ entry, page });
+    }
+
+    // Second pass: point Confluence links between mirrored pages to BookStack
+    // (and upload images now that every page has an id).
+    let relinked = 0;
+    for (const { entry, page } of written) {
+      let sourceHtml = entry.res.html;
+      let imagesChanged = false;
+      if (imagesMode === "gallery") {
+        const up = await uploadImagesToBookstackGallery(sourceHtml, {
+          confluenceBase: confluenceBaseNormalized,
+          confluenceAuthHeader,
+          bookstackBase,
+          bsAuthHeader,
+          pageId: page.id,
+          cache: galleryCache(),
+          concurrency: opts.concurrency,
+          maxBytes: opts.maxBytes,
+        });
+        persistSyncState();
+        imagesChanged = up.stats.uploaded + up.stats.reused > 0;
+        sourceHtml = up.html;
+      }
+      const $ = cheerio.load(sourceHtml, { decodeEntities: false });
+      let count = rewriteConfluenceLinksToBookstack($, {
+        titleById,
+        config: mirrored,
+        confluenceBase: confluenceBaseNormalized,
+      });
+      if (opts.attachments) {
+        count += await syncAttachments($, {
+          confluenceId: entry.res.id,
+          bookstackBase,
+          bsAuthHeader,
+          bsPageId: page.id,
+          log,
+        });
+      }
+      if (!count && !imagesChanged) continue;
+      const html = $("body").length ? $("body").html() : $.root().html();
+      await bookstack.updatePage({
+        pageId: page.id,
+        html,
+        name: entry.res.title,
+        backup,
+        log,
+      });
+      relinked += 1;
+    }
+    log(
+      `[mirror] Итого: страниц ${written.length}, книг ${bookIdByName.size}, глав ${chapterIdByKey.size}, ссылки обновлены в ${relinked}`,
+    );
+    logBackup(backup, log);
+    return;
   }
 
   // Sync to BookStack: rewrite links and update pages per config.
@@ -1114,20 +1186,23 @@ async function main() {
         `Конфиг не найден: ${configPath}. Укажите --config <path> или положите bookstack-config.yml в корень проекта.`,
       );
     }
-    const configByName = loadBookstackConfig(configPath);
-    log(`[sync] Загружен конфиг: ${configPath} (${configByName.size} страниц)`);
-    let idx = 0;
-    for (const [name, link] of configByName) {
-      if (idx++ < 5) log(`[sync]   конфиг: "${name}" -> ${link}`);
+    const config = loadBookstackConfig(configPath);
+    log(
+      `[sync] Загружен конфиг: ${configPath} (${config.entries.length} страниц)`,
+    );
+    for (const e of config.entries.slice(0, 5)) {
+      log(
+        `[sync]   конфиг: "${e.name}"${e.confluenceId ? ` (id=${e.confluenceId})` : ""} -> ${e.link}`,
+      );
     }
-    if (configByName.size > 5)
-      log(`[sync]   ... и ещё ${configByName.size - 5} записей`);
+    if (config.entries.length > 5)
+      log(`[sync]   ... и ещё ${config.entries.length - 5} записей`);
 
     let bookstackBase = String(
       opts.bookstackBase || process.env.BOOKSTACK_BASE || "",
     ).replace(/\/+$/, "");
-    if (!bookstackBase && configByName.size > 0) {
-      const firstLink = configByName.values().next().value;
+    if (!bookstackBase && config.entries.length > 0) {
+      const firstLink = config.entries[0].link;
       if (firstLink) {
         try {
           bookstackBase = new URL(firstLink).origin;
@@ -1139,7 +1214,7 @@ async function main() {
     }
     requireNonEmpty(
       bookstackBase,
-      "Для --sync-bookstack нужен --bookstack-base (или env BOOKSTACK_BASE), либо ссылки в конфиге",
+      "Для sync нужен --bookstack-base (или env BOOKSTACK_BASE), либо ссылки в конфиге",
     );
     log(`[sync] BookStack base: ${bookstackBase}`);
 
@@ -1148,81 +1223,416 @@ async function main() {
       opts.bookstackTokenSecret || process.env.BOOKSTACK_TOKEN_SECRET;
     requireNonEmpty(
       bsTokenId,
-      "Для --sync-bookstack нужен --bookstack-token-id или env BOOKSTACK_TOKEN_ID",
+      "Для sync нужен --bookstack-token-id или env BOOKSTACK_TOKEN_ID",
     );
     requireNonEmpty(
       bsTokenSecret,
-      "Для --sync-bookstack нужен --bookstack-token-secret или env BOOKSTACK_TOKEN_SECRET",
+      "Для sync нужен --bookstack-token-secret или env BOOKSTACK_TOKEN_SECRET",
     );
-    const bsAuthHeader = bookstackAuthHeader(bsTokenId, bsTokenSecret);
+    const bookstack = createBookstackClient({
+      base: bookstackBase,
+      tokenId: bsTokenId,
+      tokenSecret: bsTokenSecret,
+    });
+    const bsAuthHeader = bookstack.authHeader;
+    const backup = opts.plan ? null : makeBackup(bookstack, log);
+    // Kept in --state between runs unless --no-bookstack-index-cache.
+    const pageIndex = bookstack.createPageIndex({
+      cache:
+        opts.bookstackIndexCache !== false
+          ? syncState.bookstackPages || (syncState.bookstackPages = {})
+          : {},
+      log,
+    });
 
     const titleById = new Map();
     for (const r of exported) titleById.set(r.id, r.title);
     log(`[sync] Экспортировано страниц: ${exported.length}`);
 
+    // Pages skipped at export (unchanged version) are rendered on demand,
+    // e.g. when their outgoing links now resolve differently.
+    const ensureRendered = async (res) => {
+      if (res.html != null) return res;
+      log(`[sync] Рендер "${res.title}" (id=${res.id})...`);
+      const rendered = await renderCleanFragment({
+        id: res.id,
+        pageUrlForThis: res.pageUrlForThis,
+      });
+      return Object.assign(res, rendered, { unchanged: false });
+    };
+
+    // Create pages missing from the config first, so that links to them are
+    // rewritten in the same run.
+    const missing = exported.filter((r) => !config.lookup(r));
+    if (opts.createMissing && missing.length && !opts.plan) {
+      if (!opts.bookId && !opts.chapterId && !opts.bookName) {
+        throw new Error(
+          "Для --create-missing нужен --book-id, --chapter-id или --book-name",
+        );
+      }
+      let targetBookId = opts.bookId || null;
+      if (!targetBookId && !opts.chapterId) {
+        const book = await bookstack.findOrCreateBook(opts.bookName);
+        log(
+          `[sync] Книга для новых страниц: "${book.name}" id=${book.id} (${book.existed ? "found" : "created"})`,
+        );
+        targetBookId = book.id;
+      }
+
+      const bookById = new Map();
+      const getBook = async (id) => {
+        if (!bookById.has(id)) {
+          bookById.set(
+            id,
+            await fetchJson(`${bookstackBase}/api/books/${id}`, {
+              headers: {
+                Authorization: bsAuthHeader,
+                Accept: "application/json",
+              },
+            }),
+          );
+        }
+        return bookById.get(id);
+      };
+
+      // Each page goes into the config right after it is created: if a later
+      // POST fails, the next run must not create the earlier ones again.
+      const addedByBook = new Map();
+      for (const res of missing) {
+        await ensureRendered(res);
+        const payload = { name: res.title, html: res.html };
+        if (opts.chapterId) payload.chapter_id = opts.chapterId;
+        else payload.book_id = targetBookId;
+        log(`[bs] POST ${bookstackBase}/api/pages (name="${res.title}")`);
+        const created = await bookstack.createPage(payload);
+        const book = await getBook(created.book_id);
+        const link = `${bookstackBase}/books/${created.book_slug || book.slug}/page/${created.slug}`;
+        pageIndex.remember({
+          book_slug: created.book_slug || book.slug,
+          slug: created.slug,
+          id: created.id,
+        });
+        const added = config.add({
+          name: res.title,
+          link,
+          confluenceId: res.id,
+          aliases: [],
+        });
+        log(`[ok] Создана страница: "${res.title}" -> ${link}`);
+        appendPagesToBookstackConfig(configPath, book.name, [added]);
+
+        if (!addedByBook.has(book.name)) addedByBook.set(book.name, []);
+        addedByBook.get(book.name).push(added);
+      }
+
+      for (const [bookName, entries] of addedByBook) {
+        log(
+          `[sync] Конфиг дополнен: ${entries.length} стр. в книге "${bookName}"`,
+        );
+      }
+    }
+
     let updated = 0;
     let skipped = 0;
+    let unchanged = 0;
+    const conflicts = [];
+    const planItems = [];
+    const recordPlan = (res, status, details = {}) => {
+      if (!opts.plan) return;
+      const item = { confluenceId: res.id, title: res.title, status };
+      Object.assign(item, details);
+      planItems.push(item);
+      log(
+        `[plan] ${status}: "${res.title}"${item.reason ? ` (${item.reason})` : ""}`,
+      );
+      const shown = (item.diff || []).slice(0, 40);
+      for (const line of shown) log(`[plan]   ${line}`);
+      if (item.diff && item.diff.length > shown.length) {
+        log(`[plan]   ... ещё ${item.diff.length - shown.length} строк`);
+      }
+    };
+    // Ids from the state file or the persisted page index may point to a
+    // page deleted in BookStack since: on 404 the link is resolved again.
+    const getCurrentPage = async (link, pageIdBs) => {
+      try {
+        return { pageIdBs, current: await bookstack.getPage(pageIdBs) };
+      } catch (e) {
+        if (!e || e.status !== 404) throw e;
+      }
+      log(
+        `[warn] BookStack page_id=${pageIdBs} не существует, ищем ${link} заново`,
+      );
+      pageIndex.forget(link);
+      const fresh = await pageIndex.resolve(link);
+      if (!fresh || String(fresh) === String(pageIdBs)) return null;
+      return { pageIdBs: fresh, current: await bookstack.getPage(fresh) };
+    };
     for (const res of exported) {
       log(`[sync] --- Обработка: "${res.title}" (id=${res.id}) ---`);
-      const link = configByName.get(res.title);
-      if (!link) {
+      const configEntry = config.lookup(res);
+      if (!configEntry) {
         log(`[skip] Нет в конфиге: "${res.title}"`);
+        recordPlan(res, opts.createMissing ? "create" : "skip", {
+          reason: "нет в конфиге",
+        });
         skipped += 1;
         continue;
       }
-      log(`[sync] Есть в конфиге, link=${link}`);
+      const link = configEntry.link;
+      log(
+        `[sync] Есть в конфиге${configEntry.name !== res.title ? ` как "${configEntry.name}"` : ""}, link=${link}`,
+      );
 
-      const pageIdBs = await resolveBookstackPageIdFromUrl({
-        bookstackBase,
-        bsAuthHeader,
-        pageUrl: link,
-        log,
-      });
+      const prev = syncState.pages[res.id] || null;
+      // BookStack targets of this page's Confluence links: if they change
+      // (config edits, --create-missing), the page must be re-sent.
+      const linksHash = sha256(
+        JSON.stringify(
+          [...res.linkedIds].sort().map((lid) => {
+            const target = config.lookup({
+              id: lid,
+              title: titleById.get(lid),
+            });
+            return [lid, target ? target.link : ""];
+          }),
+        ),
+      );
+
+      let pageIdBs = null;
+      if (prev && prev.link === link && prev.bookstackPageId) {
+        pageIdBs = prev.bookstackPageId;
+      } else {
+        pageIdBs = await pageIndex.resolve(link);
+      }
       if (!pageIdBs) {
         log(`[warn] Не найден page в BookStack: ${link}`);
+        recordPlan(res, "skip", { link, reason: "не найдена в BookStack" });
+        skipped += 1;
+        continue;
+      }
+
+      if (
+        !opts.force &&
+        res.unchanged &&
+        prev &&
+        prev.link === link &&
+        prev.linksHash === linksHash
+      ) {
+        log(`[skip] Не изменилась (version=${res.version})`);
+        recordPlan(res, "unchanged", {
+          link,
+          bookstackPageId: pageIdBs,
+          reason: `версия ${res.version} уже синхронизирована`,
+        });
+        unchanged += 1;
+        continue;
+      }
+
+      await ensureRendered(res);
+
+      // Checked before anything is written: gallery images and attachments of
+      // a page edited in BookStack are left alone as well.
+      const found = await getCurrentPage(link, pageIdBs);
+      if (!found) {
+        log(`[warn] Не найден page в BookStack: ${link}`);
+        recordPlan(res, "skip", { link, reason: "не найдена в BookStack" });
         skipped += 1;
         continue;
       }
+      const { current } = found;
+      pageIdBs = found.pageIdBs;
+      const editedBy = editedInBookstackSince(prev, current, pageIdBs);
+      const conflict = editedBy != null && !opts.overwriteConflicts;
+      if (conflict && !opts.plan) {
+        log(
+          `[conflict] "${res.title}" изменена в BookStack после последней синхронизации (${editedBy}), пропускаем. Перезаписать: --overwrite-conflicts`,
+        );
+        conflicts.push({ title: res.title, link, editedBy });
+        continue;
+      }
+
+      let sourceHtml = res.html;
+      if (imagesMode === "gallery") {
+        const up = await uploadImagesToBookstackGallery(res.html, {
+          confluenceBase: confluenceBaseNormalized,
+          confluenceAuthHeader,
+          bookstackBase,
+          bsAuthHeader,
+          pageId: pageIdBs,
+          cache: galleryCache(),
+          concurrency: opts.concurrency,
+          maxBytes: opts.maxBytes,
+          dryRun: Boolean(opts.plan),
+        });
+        persistSyncState();
+        log(
+          opts.plan
+            ? `[plan] Картинки: из кэша ${up.stats.reused}, будет загружено ${up.stats.pending}, ошибок ${up.stats.fail}`
+            : `[sync] Картинки: загружено ${up.stats.uploaded}, из кэша ${up.stats.reused}, ошибок ${up.stats.fail}`,
+        );
+        sourceHtml = up.html;
+      }
       log(`[sync] BookStack page_id=${pageIdBs}, переписываем ссылки...`);
 
-      const $ = cheerio.load(res.html, { decodeEntities: false });
+      const $ = cheerio.load(sourceHtml, { decodeEntities: false });
       rewriteConfluenceLinksToBookstack($, {
         titleById,
-        configByName,
+        config,
         confluenceBase: confluenceBaseNormalized,
       });
+      if (opts.attachments) {
+        await syncAttachments($, {
+          confluenceId: res.id,
+          bookstackBase,
+          bsAuthHeader,
+          bsPageId: pageIdBs,
+          log,
+        });
+      }
       const html = $("body").length
         ? $("body").html()
         : $("#__root").length
           ? $("#__root").html()
           : $.root().html();
-      const htmlToSend = html || res.html;
-      log(`[sync] Отправка HTML (${htmlToSend.length} символов)...`);
+      const htmlToSend = html || sourceHtml;
+      const markdownToSend =
+        format === "markdown" ? htmlToMarkdown(htmlToSend) : null;
+      const hash = sha256(markdownToSend != null ? markdownToSend : htmlToSend);
 
-      await updateBookstackPage({
-        bookstackBase,
-        bsAuthHeader,
+      const entry = {
+        title: res.title,
+        version: res.version,
+        hash,
+        link,
+        bookstackPageId: pageIdBs,
+        linkedIds: [...res.linkedIds],
+        linksHash,
+        syncedAt: new Date().toISOString(),
+        // BookStack state right after our last write, to detect manual edits.
+        bookstackUpdatedAt: prev ? prev.bookstackUpdatedAt : undefined,
+        bookstackRevision: prev ? prev.bookstackRevision : undefined,
+      };
+
+      if (
+        !opts.force &&
+        prev &&
+        prev.hash === hash &&
+        prev.bookstackPageId === pageIdBs
+      ) {
+        log(`[skip] HTML не изменился (version=${res.version})`);
+        recordPlan(res, "unchanged", {
+          link,
+          bookstackPageId: pageIdBs,
+          reason: "HTML не изменился с прошлой синхронизации",
+        });
+        syncState.pages[res.id] = entry;
+        persistSyncState();
+        unchanged += 1;
+        continue;
+      }
+
+      if (opts.plan) {
+        const ops = diffLines(
+          normalizeForDiff(
+            markdownToSend != null && current.markdown
+              ? { markdown: current.markdown }
+              : { html: current.html },
+          ),
+          normalizeForDiff(
+            markdownToSend != null
+              ? { markdown: markdownToSend }
+              : { html: htmlToSend },
+          ),
+        );
+        const renamed = String(current.name || "") !== res.title;
+        const changed = renamed || ops.some((o) => o.op !== " ");
+        recordPlan(
+          res,
+          conflict ? "conflict" : changed ? "changed" : "unchanged",
+          {
+            link,
+            bookstackPageId: pageIdBs,
+            reason: conflict
+              ? `изменена в BookStack после синхронизации (${editedBy})`
+              : renamed
+                ? `имя "${current.name}" -> "${res.title}"`
+                : changed
+                  ? null
+                  : "содержимое в BookStack совпадает",
+            diff: changed ? formatDiff(ops, { context: 3 }) : null,
+            currentHtml: current.html,
+            newHtml: htmlToSend,
+          },
+        );
+        continue;
+      }
+
+      if (editedBy != null) {
+        log(
+          `[warn] "${res.title}" изменена в BookStack (${editedBy}), перезаписываем (--overwrite-conflicts)`,
+        );
+      }
+
+      log(
+        markdownToSend != null
+          ? `[sync] Отправка Markdown (${markdownToSend.length} символов)...`
+          : `[sync] Отправка HTML (${htmlToSend.length} символов)...`,
+      );
+      const saved = await bookstack.updatePage({
         pageId: pageIdBs,
         html: htmlToSend,
+        markdown: markdownToSend,
         name: res.title,
+        current,
+        backup,
         log,
       });
       log(`[ok] Обновлена страница: "${res.title}" -> ${link}`);
       updated += 1;
+      entry.bookstackUpdatedAt = saved.updated_at;
+      entry.bookstackRevision = saved.revision_count;
+
+      syncState.pages[res.id] = entry;
+      persistSyncState();
+    }
+    if (opts.plan) {
+      const count = (status) =>
+        planItems.filter((i) => i.status === status).length;
+      log(
+        `[plan] Итого: изменится ${count("changed")}, без изменений ${count("unchanged")}, будет создано ${count("create")}, пропущено ${count("skip")}, конфликтов ${count("conflict")}. Ничего не записано.`,
+      );
+      if (opts.planReport) {
+        const reportPath = path.resolve(process.cwd(), opts.planReport);
+        writePlanReport(reportPath, planItems);
+        log(`[plan] Отчёт: ${reportPath}`);
+      }
+      return;
+    }
+    persistSyncState();
+    log(
+      `[sync] Итого: обновлено ${updated}, без изменений ${unchanged}, пропущено ${skipped}, конфликтов ${conflicts.length}`,
+    );
+    for (const c of conflicts) {
+      log(`[conflict]   "${c.title}" (${c.editedBy}) -> ${c.link}`);
     }
-    log(`[sync] Итого: обновлено ${updated}, пропущено ${skipped}`);
+    logBackup(backup, log);
     return;
   }
 
-  if (opts.dryRun) {
+  if (opts.dryRun || opts.site) {
     console.log("[info] Dry-run: skip BookStack create");
     return;
   }
 
+  requireNonEmpty(
+    pageId,
+    "Создание страницы в BookStack требует --page (--space работает только в export, sync и mirror)",
+  );
+
   const bookstackBase = String(opts.bookstackBase || "").replace(/\/+$/, "");
   requireNonEmpty(
     bookstackBase,
-    "Нужно указать --bookstack-base, чтобы создавать страницы в BookStack (или используйте --dry-run)",
+    "Нужно указать --bookstack-base, чтобы создавать страницы в BookStack (или используйте export)",
   );
 
   const bsTokenId = opts.bookstackTokenId || process.env.BOOKSTACK_TOKEN_ID;
@@ -1236,7 +1646,12 @@ async function main() {
     bsTokenSecret,
     "Нужно указать --bookstack-token-secret или env BOOKSTACK_TOKEN_SECRET",
   );
-  const bsAuthHeader = bookstackAuthHeader(bsTokenId, bsTokenSecret);
+  const bookstack = createBookstackClient({
+    base: bookstackBase,
+    tokenId: bsTokenId,
+    tokenSecret: bsTokenSecret,
+  });
+  const bsAuthHeader = bookstack.authHeader;
 
   // If target is not specified, ensure a BookStack book exists and use it.
   if (!opts.bookId && !opts.chapterId) {
@@ -1250,11 +1665,7 @@ async function main() {
     console.log(
       `[info] No target book/chapter provided. Ensuring book "${desiredBookName}"...`,
     );
-    const book = await findOrCreateBook({
-      bookstackBase,
-      bsAuthHeader,
-      desiredName: desiredBookName,
-    });
+    const book = await bookstack.findOrCreateBook(desiredBookName);
     opts.bookId = book.id;
     console.log(
       `[info] Using book_id=${book.id} (${book.existed ? "found" : "created"})`,
@@ -1266,28 +1677,66 @@ async function main() {
     id: String(pageId),
     pageUrlForThis: pageUrl,
   });
-  const payload = {
-    name: rootRendered.title,
-    html: rootRendered.html,
-  };
+  const payload =
+    format === "markdown"
+      ? {
+          name: rootRendered.title,
+          markdown: htmlToMarkdown(rootRendered.html),
+        }
+      : { name: rootRendered.title, html: rootRendered.html };
   if (opts.chapterId) payload.chapter_id = opts.chapterId;
   if (opts.bookId) payload.book_id = opts.bookId;
 
-  const createUrl = `${bookstackBase}/api/pages`;
-  console.log(`[info] Create page: ${createUrl}`);
-  const created = await fetchJson(createUrl, {
-    method: "POST",
-    headers: {
-      Authorization: bsAuthHeader,
-      "Content-Type": "application/json",
-      Accept: "application/json",
-    },
-    body: JSON.stringify(payload),
-  });
+  console.log(`[info] Create page: ${bookstackBase}/api/pages`);
+  const created = await bookstack.createPage(payload);
 
   console.log(
     `[ok] Created BookStack page id=${created.id} name="${created.name}"`,
   );
+  // Images and attachments need the page id, so they go in a follow-up PUT.
+  let finalHtml = rootRendered.html;
+  let needsUpdate = false;
+  if (imagesMode === "gallery") {
+    const up = await uploadImagesToBookstackGallery(finalHtml, {
+      confluenceBase: confluenceBaseNormalized,
+      confluenceAuthHeader,
+      bookstackBase,
+      bsAuthHeader,
+      pageId: created.id,
+      cache: galleryCache(),
+      concurrency: opts.concurrency,
+      maxBytes: opts.maxBytes,
+    });
+    persistSyncState();
+    console.log(
+      `[info] Images: uploaded ${up.stats.uploaded}, reused ${up.stats.reused}, failed ${up.stats.fail}`,
+    );
+    finalHtml = up.html;
+    needsUpdate = up.stats.uploaded + up.stats.reused > 0;
+  }
+  if (opts.attachments) {
+    const $ = cheerio.load(finalHtml, { decodeEntities: false });
+    const count = await syncAttachments($, {
+      confluenceId: String(pageId),
+      bookstackBase,
+      bsAuthHeader,
+      bsPageId: created.id,
+      log: (msg) => console.log(msg),
+    });
+    if (count) {
+      finalHtml = $("body").length ? $("body").html() : $.root().html();
+      needsUpdate = true;
+    }
+  }
+  if (needsUpdate) {
+    await bookstack.updatePage({
+      pageId: created.id,
+      html: finalHtml,
+      markdown: format === "markdown" ? htmlToMarkdown(finalHtml) : null,
+      name: created.name,
+    });
+  }
+
   if (created.slug && created.book_slug) {
     console.log(
       `[ok] Likely URL: ${bookstackBase}/books/${created.book_slug}/page/${created.slug}`,
@@ -1295,7 +1744,12 @@ async function main() {
   }
 }
 
-main().catch((e) => {
-  console.error(`[error] ${String(e && e.message ? e.message : e)}`);
-  process.exitCode = 1;
-});
+// The programmatic API lives in index.cjs; requiring the CLI runs nothing.
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(`[error] ${String(e && e.message ? e.message : e)}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,4103 @@
+/* eslint-disable no-console */
+
+// Library entry point: Confluence and BookStack clients and the HTML cleanup
+// pipeline behind cli.cjs. Requiring it has no side effects.
+
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const cheerio = require("cheerio");
+const yaml = require("js-yaml");
+const pLimitImport = require("p-limit");
+const pLimit =
+  typeof pLimitImport === "function" ? pLimitImport : pLimitImport.default;
+
+function requireNonEmpty(value, message) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    throw new Error(message);
+  }
+  return value;
+}
+
+// Path segments that follow the context path in Confluence URLs. Cloud
+// lives under /wiki; Server / Data Center anywhere (/confluence, /kb, or /).
+const CONFLUENCE_PATH_MARKERS = [
+  "/spaces/",
+  "/display/",
+  "/pages/",
+  "/x/",
+  "/rest/",
+  "/download/",
+];
+
+/**
+ * Context path of a Confluence URL ("/wiki", "/confluence", "" at the root),
+ * or null if the path does not look like Confluence.
+ */
+function confluenceContextPath(pathname) {
+  let cut = -1;
+  for (const marker of CONFLUENCE_PATH_MARKERS) {
+    const i = pathname.indexOf(marker);
+    if (i !== -1 && (cut === -1 || i < cut)) cut = i;
+  }
+  return cut === -1 ? null : pathname.slice(0, cut);
+}
+
+// "/display/DOC/Page+Title" segments use + for spaces.
+function decodeDisplaySegment(segment) {
+  const raw = segment.replace(/\+/g, " ");
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Page id of a tiny link code ("/x/AbCd"): the id as little-endian bytes in
+ * base64 with "-" and "_" for "/" and "+", trailing "A" (zero bits) and
+ * padding dropped. null if the code does not decode to an id.
+ */
+function decodeConfluenceTinyLink(code) {
+  const raw = String(code || "")
+    .replace(/-/g, "/")
+    .replace(/_/g, "+");
+  if (!/^[A-Za-z0-9+/]{1,11}$/.test(raw)) return null;
+  const bytes = Buffer.from(`${raw.padEnd(11, "A")}=`, "base64");
+  let id = 0n;
+  for (let i = bytes.length - 1; i >= 0; i -= 1) {
+    id = (id << 8n) | BigInt(bytes[i]);
+  }
+  return id > 0n ? id.toString() : null;
+}
+
+/**
+ * Page a Confluence URL points to, in any of the Cloud and Server forms:
+ *   .../spaces/<SPACE>/pages/<id>/<Title>       -> { pageId }
+ *   .../pages/viewpage.action?pageId=<id>       -> { pageId }
+ *   .../x/<tiny>                                -> { pageId }
+ *   .../pages/viewpage.action?spaceKey=&title=  -> { spaceKey, title }
+ *   .../display/<SPACE>/<Title>                 -> { spaceKey, title }
+ * null for anything else (space home, blog posts, attachments...).
+ */
+function confluencePageRefFromUrl(url) {
+  const byId = url.pathname.match(/\/pages\/(\d+)(?:\/|$)/);
+  if (byId) return { pageId: byId[1] };
+
+  if (/\/pages\/[\w-]+\.action$/.test(url.pathname)) {
+    const pageId = String(url.searchParams.get("pageId") || "").trim();
+    if (/^\d+$/.test(pageId)) return { pageId };
+    const spaceKey = String(url.searchParams.get("spaceKey") || "").trim();
+    const title = String(url.searchParams.get("title") || "").trim();
+    if (spaceKey && title) return { pageId: null, spaceKey, title };
+    return null;
+  }
+
+  const tiny = url.pathname.match(/\/x\/([\w-]+)\/?$/);
+  if (tiny) {
+    const pageId = decodeConfluenceTinyLink(tiny[1]);
+    return pageId ? { pageId } : null;
+  }
+
+  const display = url.pathname.match(/\/display\/([^/]+)\/([^/]+)\/?$/);
+  if (display) {
+    return {
+      pageId: null,
+      spaceKey: decodeDisplaySegment(display[1]),
+      title: decodeDisplaySegment(display[2]),
+    };
+  }
+  return null;
+}
+
+/**
+ * --page value: a pageId or a Confluence page URL. /display/ and
+ * spaceKey+title URLs carry no id: pageId is null and { spaceKey, title }
+ * are returned for a lookup instead.
+ */
+function parseConfluenceInput(input) {
+  const trimmed = String(input).trim();
+  if (/^\d+$/.test(trimmed)) return { pageId: trimmed, pageUrl: null };
+
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    throw new Error(`Не похоже ни на URL, ни на pageId: "${input}"`);
+  }
+
+  const ref = confluencePageRefFromUrl(url);
+  if (!ref) {
+    throw new Error(`Не смог извлечь pageId из URL: ${trimmed}`);
+  }
+  return { ...ref, pageUrl: url.toString() };
+}
+
+function deriveConfluenceBaseFromUrl(pageUrl) {
+  const url = new URL(pageUrl);
+  const contextPath = confluenceContextPath(url.pathname);
+  if (contextPath != null) return `${url.origin}${contextPath}`;
+  // Confluence Cloud almost always lives under /wiki
+  if (url.pathname.startsWith("/wiki")) return `${url.origin}/wiki`;
+  return url.origin;
+}
+
+function extractConfluenceSpaceKeyFromUrl(pageUrl) {
+  try {
+    const url = new URL(pageUrl);
+    const ref = confluencePageRefFromUrl(url);
+    if (ref && ref.spaceKey) return ref.spaceKey;
+    const m = url.pathname.match(/\/spaces\/([^/]+)\//);
+    return m ? decodeURIComponent(m[1]) : "";
+  } catch {
+    return "";
+  }
+}
+
+function basicAuthHeader(user, token) {
+  const raw = `${user}:${token}`;
+  const b64 = Buffer.from(raw, "utf8").toString("base64");
+  return `Basic ${b64}`;
+}
+
+const CONFLUENCE_FLAVORS = ["cloud", "server"];
+
+/**
+ * Confluence flavour: "cloud" (Atlassian Cloud) or "server" (Server / Data
+ * Center). Guessed from the host when not given: *.atlassian.net is Cloud.
+ */
+function resolveConfluenceFlavor(flavor, confluenceBase) {
+  if (flavor) {
+    const value = String(flavor).trim().toLowerCase();
+    if (!CONFLUENCE_FLAVORS.includes(value)) {
+      throw new Error(
+        `Неизвестный тип Confluence "${flavor}" (ожидается cloud или server)`,
+      );
+    }
+    return value;
+  }
+  try {
+    return /\.atlassian\.net$/i.test(new URL(confluenceBase).hostname)
+      ? "cloud"
+      : "server";
+  } catch {
+    return "cloud";
+  }
+}
+
+// Page body to convert: rendered export_view or the storage format source.
+const CONFLUENCE_SOURCES = ["export_view", "storage"];
+
+function resolveConfluenceSource(source) {
+  const value = String(source || "export_view")
+    .trim()
+    .toLowerCase();
+  if (!CONFLUENCE_SOURCES.includes(value)) {
+    throw new Error(
+      `Неизвестный источник "${source}" (ожидается export_view или storage)`,
+    );
+  }
+  return value;
+}
+
+/**
+ * Cloud: Basic with email + API token. Server: a personal access token goes
+ * as Bearer; with a user it is Basic username + password instead.
+ */
+function confluenceAuthHeader({ flavor, user, token }) {
+  if (flavor === "server" && !user) return `Bearer ${token}`;
+  return basicAuthHeader(user, token);
+}
+
+function escapeHtml(input) {
+  return String(input || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function sanitizeFilename(input, { maxLen = 140 } = {}) {
+  let s = String(input || "")
+    .normalize("NFKC")
+    .trim();
+  // Replace forbidden chars on Windows + control chars.
+  s = s.replace(/[<>:"/\\|?*\x00-\x1F]/g, " ");
+  // Collapse whitespace.
+  s = s.replace(/\s+/g, " ").trim();
+  // Windows: no trailing dot or space.
+  s = s.replace(/[. ]+$/g, "");
+  if (!s) s = "untitled";
+
+  const upper = s.toUpperCase();
+  const reserved =
+    upper === "CON" ||
+    upper === "PRN" ||
+    upper === "AUX" ||
+    upper === "NUL" ||
+    /^COM[1-9]$/.test(upper) ||
+    /^LPT[1-9]$/.test(upper);
+  if (reserved) s = `_${s}`;
+
+  if (s.length > maxLen) s = s.slice(0, maxLen).trim();
+  return s;
+}
+
+function ensureDirSync(dirPath) {
+  fs.mkdirSync(dirPath, { recursive: true });
+}
+
+function sha256(input) {
+  return crypto.createHash("sha256").update(input).digest("hex");
+}
+
+/**
+ * Incremental sync state: { pages: { [confluenceId]: { version, hash, bookstackPageId, ... } } }.
+ * Missing or unreadable file means "nothing synced yet".
+ */
+function loadSyncState(statePath) {
+  if (!fs.existsSync(statePath)) return { pages: {} };
+  try {
+    const data = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    if (!data || typeof data.pages !== "object" || !data.pages) {
+      return { pages: {} };
+    }
+    return data;
+  } catch (e) {
+    console.warn(
+      `[warn] Не удалось прочитать state ${statePath}, начинаем заново: ${String(
+        e && e.message ? e.message : e,
+      )}`,
+    );
+    return { pages: {} };
+  }
+}
+
+function saveSyncState(statePath, state) {
+  ensureDirSync(path.dirname(statePath));
+  const tmp = `${statePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2), "utf8");
+  fs.renameSync(tmp, statePath);
+}
+
+/**
+ * Page reference of a link to this Confluence (see confluencePageRefFromUrl),
+ * or null for links elsewhere.
+ */
+function confluencePageRefFromHref(href, confluenceBase) {
+  const raw = String(href || "").trim();
+  if (!raw) return null;
+  if (/^(mailto:|tel:|data:|#)/i.test(raw)) return null;
+
+  const abs = absolutizeMaybe(raw, confluenceBase);
+  try {
+    const u = new URL(abs);
+    const base = new URL(confluenceBase);
+    if (u.origin !== base.origin) return null;
+    return confluencePageRefFromUrl(u);
+  } catch {
+    return null;
+  }
+}
+
+function extractConfluencePageIdFromHref(href, confluenceBase) {
+  const ref = confluencePageRefFromHref(href, confluenceBase);
+  return ref && ref.pageId ? ref.pageId : null;
+}
+
+// Retry policy of fetchJson/fetchBinary; set from CLI options by
+// configureRequests() at the start of each run.
+const requestPolicy = {
+  maxAttempts: 4,
+  // Retry pauses of the whole run together may not exceed budgetMs.
+  budgetMs: 600_000,
+  spentMs: 0,
+  baseDelayMs: 400,
+  log: (...args) => console.warn(...args),
+};
+
+// A new run: the retry budget is full again.
+function resetRequestBudget() {
+  requestPolicy.spentMs = 0;
+}
+
+/**
+ * Start a run: set the retry limits (retryBudget in seconds) and where
+ * [retry] lines go, and refill the budget. Options left out keep their
+ * values.
+ */
+function configureRequests({ maxAttempts, retryBudget, log } = {}) {
+  if (Number.isFinite(maxAttempts) && maxAttempts >= 1) {
+    requestPolicy.maxAttempts = Math.floor(maxAttempts);
+  }
+  if (Number.isFinite(retryBudget) && retryBudget >= 0) {
+    requestPolicy.budgetMs = retryBudget * 1000;
+  }
+  if (typeof log === "function") requestPolicy.log = log;
+  resetRequestBudget();
+}
+
+const RETRIABLE_NETWORK_CODES = [
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_SOCKET",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+];
+
+// Failures before the request reached the server: safe to repeat any method.
+const CONNECT_ERROR_CODES = ["UND_ERR_CONNECT_TIMEOUT", "ENOTFOUND"];
+
+// A POST that got a 5xx or lost its connection may still have been applied
+// (page created, file uploaded): only 429 and connect errors are retried.
+function isIdempotentMethod(method) {
+  return ["GET", "HEAD", "PUT", "DELETE"].includes(
+    String(method || "GET").toUpperCase(),
+  );
+}
+
+function isRetriableStatus(status, method) {
+  if (status === 429) return true;
+  return status >= 500 && isIdempotentMethod(method);
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or HTTP date), or null.
+ */
+function retryAfterMs(res) {
+  const raw = String(res.headers.get("retry-after") || "").trim();
+  if (!raw) return null;
+  if (/^\d+$/.test(raw)) return Number(raw) * 1000;
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * fetch() that retries network errors, 429 and 5xx with exponential backoff
+ * (or the server's Retry-After) within requestPolicy limits; POST only on
+ * 429 and connect errors. Returns the OK response; other responses throw an
+ * Error with `status` set.
+ */
+async function fetchWithRetry(url, opts, { action, maxBodyChars }) {
+  const { maxAttempts, budgetMs, baseDelayMs } = requestPolicy;
+  const retriableCodes = isIdempotentMethod(opts.method)
+    ? RETRIABLE_NETWORK_CODES
+    : CONNECT_ERROR_CODES;
+  for (let attempt = 1; ; attempt += 1) {
+    let error;
+    let reason;
+    let waitMs = null;
+    try {
+      const res = await fetch(url, opts);
+      if (res.ok) return res;
+      const text = await res.text().catch(() => "");
+      error = new Error(
+        `HTTP ${res.status} ${action} ${url}\n${text.slice(0, maxBodyChars)}`,
+      );
+      error.status = res.status;
+      if (!isRetriableStatus(res.status, opts.method)) throw error;
+      reason = `HTTP ${res.status}`;
+      waitMs = retryAfterMs(res);
+    } catch (e) {
+      if (e === error) throw e;
+      const code = e && e.cause && e.cause.code ? String(e.cause.code) : "";
+      const cause =
+        e && e.cause
+          ? `\nCause: ${e.cause.code || ""} ${e.cause.message || e.cause}`
+          : "";
+      error = new Error(
+        `Fetch failed for ${url}\n${String(
+          e && e.message ? e.message : e,
+        )}${cause}`,
+      );
+      if (!retriableCodes.includes(code)) throw error;
+      reason = code;
+    }
+
+    if (waitMs == null) waitMs = baseDelayMs * Math.pow(2, attempt - 1);
+    if (attempt >= maxAttempts || requestPolicy.spentMs + waitMs > budgetMs) {
+      error.message += `\n(попыток: ${attempt}, на повторы за запуск ушло ${Math.round(
+        requestPolicy.spentMs / 1000,
+      )} с)`;
+      throw error;
+    }
+    requestPolicy.spentMs += waitMs;
+    requestPolicy.log(
+      `[retry] ${reason}: ${url} — ждём ${(waitMs / 1000).toFixed(1)} с (попытка ${attempt + 1}/${maxAttempts})`,
+    );
+    await new Promise((r) => setTimeout(r, waitMs));
+  }
+}
+
+async function fetchJson(url, opts = {}) {
+  const res = await fetchWithRetry(url, opts, {
+    action: "при запросе",
+    maxBodyChars: 1200,
+  });
+  return await res.json();
+}
+
+async function fetchBinary(url, opts = {}) {
+  const res = await fetchWithRetry(url, opts, {
+    action: "при скачивании",
+    maxBodyChars: 600,
+  });
+  const ct = res.headers.get("content-type") || "";
+  const ab = await res.arrayBuffer();
+  return { contentType: ct, bytes: Buffer.from(ab) };
+}
+
+/**
+ * Collect all items of a paginated Confluence REST listing.
+ * Follows `_links.next` when present, otherwise advances `start` by page size.
+ */
+async function fetchConfluenceListAll(url, { confluenceBase, headers }) {
+  const maxRequests = 1000;
+  const all = [];
+  let nextUrl = url;
+  for (let i = 0; i < maxRequests && nextUrl; i += 1) {
+    const list = await fetchJson(nextUrl, { headers });
+    const items = Array.isArray(list.results) ? list.results : [];
+    all.push(...items);
+
+    const next = list._links && list._links.next;
+    if (next) {
+      const linkBase = (list._links && list._links.base) || confluenceBase;
+      nextUrl = /^https?:\/\//i.test(next) ? next : `${linkBase}${next}`;
+      continue;
+    }
+    const limit = Number(list.limit) || items.length;
+    if (!items.length || items.length < limit || list.size === 0) break;
+    const u = new URL(nextUrl);
+    const start = Number(u.searchParams.get("start") || list.start || 0);
+    u.searchParams.set("start", String(start + items.length));
+    nextUrl = u.toString();
+  }
+  return all;
+}
+
+/**
+ * Collect all items of a BookStack list endpoint (count/offset paging).
+ */
+async function fetchBookstackListAll(url, { headers }) {
+  const count = 500;
+  const all = [];
+  let offset = 0;
+  for (;;) {
+    const u = new URL(url);
+    u.searchParams.set("count", String(count));
+    u.searchParams.set("offset", String(offset));
+    const list = await fetchJson(u.toString(), { headers });
+    const items = Array.isArray(list.data) ? list.data : [];
+    all.push(...items);
+    offset += items.length;
+    const total = list.total != null ? Number(list.total) : offset;
+    if (!items.length || items.length < count || offset >= total) break;
+  }
+  return all;
+}
+
+function bookstackAuthHeader(tokenId, tokenSecret) {
+  return `Token ${tokenId}:${tokenSecret}`;
+}
+
+/**
+ * Confluence page id from a config value: a bare id or a Confluence page URL.
+ */
+function confluenceIdFromConfigValue(value) {
+  const raw = String(value == null ? "" : value).trim();
+  if (!raw) return null;
+  const { pageId } = parseConfluenceInput(raw);
+  if (!pageId) {
+    throw new Error(`в URL нет pageId, укажите id числом: ${raw}`);
+  }
+  return pageId;
+}
+
+/**
+ * Loose title key: case, punctuation and repeated spaces are ignored.
+ */
+function looseTitleKey(title) {
+  return String(title || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Index of config entries ({ name, link, confluenceId, aliases }).
+ * lookup({ id, title }) prefers the Confluence page id, then the exact name or
+ * alias, then a loose match of the name or alias. Title matches skip entries
+ * pinned to another confluence_id: a new page reusing an old title must not
+ * overwrite that page.
+ */
+function createBookstackConfigIndex() {
+  const entries = [];
+  const byId = new Map();
+  const byName = new Map();
+  const byLooseName = new Map();
+
+  const add = (entry) => {
+    entries.push(entry);
+    if (entry.confluenceId) byId.set(entry.confluenceId, entry);
+    for (const name of [entry.name, ...(entry.aliases || [])]) {
+      byName.set(name, entry);
+      const loose = looseTitleKey(name);
+      if (loose) byLooseName.set(loose, entry);
+    }
+    return entry;
+  };
+
+  const lookup = ({ id, title }) => {
+    if (id && byId.has(String(id))) return byId.get(String(id));
+    if (!title) return null;
+    const usable = (entry) =>
+      entry && (!id || !entry.confluenceId || entry.confluenceId === String(id))
+        ? entry
+        : null;
+    return (
+      usable(byName.get(title)) ||
+      usable(byLooseName.get(looseTitleKey(title))) ||
+      null
+    );
+  };
+
+  return { entries, add, lookup };
+}
+
+/**
+ * Load bookstack-config.yml into a config index (see
+ * createBookstackConfigIndex): { entries, add, lookup }. Entries are
+ * { name, link, confluenceId, aliases, book }; names are trimmed, links are
+ * full URLs like https://book.example.com/books/foo/page/bar.
+ */
+function loadBookstackConfig(configPath) {
+  const raw = fs.readFileSync(configPath, "utf8");
+  const data = yaml.load(raw);
+  const index = createBookstackConfigIndex();
+  if (!data || !Array.isArray(data.books)) return index;
+  for (const book of data.books) {
+    const pages = book.pages;
+    if (!Array.isArray(pages)) continue;
+    for (const p of pages) {
+      const name = String(p.name || "").trim();
+      const link = String(p.link || "").trim();
+      if (!name || !link) continue;
+      let confluenceId = null;
+      try {
+        confluenceId = confluenceIdFromConfigValue(
+          p.confluence_id != null ? p.confluence_id : p.confluence_url,
+        );
+      } catch (e) {
+        throw new Error(
+          `Некорректный confluence_id у "${name}" в ${configPath}: ${e.message}`,
+        );
+      }
+      const aliases = (Array.isArray(p.aliases) ? p.aliases : [])
+        .map((a) => String(a || "").trim())
+        .filter(Boolean);
+      index.add({ name, link, confluenceId, aliases, book: book.name });
+    }
+  }
+  return index;
+}
+
+/**
+ * Append { name, link, confluenceId? } entries to a book group of bookstack-config.yml.
+ * Works on the raw text so existing grouping, quoting and comments stay intact;
+ * the group is created at the end of the file if it doesn't exist yet.
+ */
+function appendPagesToBookstackConfig(configPath, bookName, entries) {
+  if (!entries.length) return;
+  const raw = fs.existsSync(configPath)
+    ? fs.readFileSync(configPath, "utf8")
+    : "books:\n";
+  const eol = raw.includes("\r\n") ? "\r\n" : "\n";
+  const lines = raw.split(/\r?\n/);
+  if (lines.length && lines[lines.length - 1] === "") lines.pop();
+
+  const indentOf = (line) => line.match(/^ */)[0].length;
+  const isBlank = (line) => !line.trim() || /^\s*#/.test(line);
+  const parseScalar = (text) => {
+    try {
+      return String(yaml.load(text) || "").trim();
+    } catch {
+      return String(text).trim();
+    }
+  };
+
+  const booksIdx = lines.findIndex((l) => /^books:\s*$/.test(l));
+  if (booksIdx === -1) {
+    throw new Error(`В конфиге ${configPath} нет ключа books:`);
+  }
+
+  // Book items are the least indented "- " lines after "books:".
+  let bookIndent = null;
+  for (let i = booksIdx + 1; i < lines.length; i += 1) {
+    if (isBlank(lines[i])) continue;
+    if (indentOf(lines[i]) === 0) break;
+    const m = lines[i].match(/^( *)- /);
+    if (m && (bookIndent === null || m[1].length < bookIndent)) {
+      bookIndent = m[1].length;
+    }
+  }
+  if (bookIndent === null) bookIndent = 2;
+  const pad = (n) => " ".repeat(n);
+
+  let groupStart = -1;
+  let groupEnd = lines.length;
+  for (let i = booksIdx + 1; i < lines.length; i += 1) {
+    if (isBlank(lines[i])) continue;
+    const indent = indentOf(lines[i]);
+    if (indent === 0) {
+      if (groupStart !== -1) groupEnd = i;
+      break;
+    }
+    const m = lines[i].match(/^ *- name:\s*(.*)$/);
+    if (indent !== bookIndent || !/^ *- /.test(lines[i])) continue;
+    if (groupStart !== -1) {
+      groupEnd = i;
+      break;
+    }
+    if (m && parseScalar(m[1]) === bookName) groupStart = i;
+  }
+
+  const entryLines = (itemIndent) => {
+    const out = [];
+    for (const e of entries) {
+      out.push(`${pad(itemIndent)}- name: ${JSON.stringify(e.name)}`);
+      out.push(`${pad(itemIndent + 2)}link: ${JSON.stringify(e.link)}`);
+      if (e.confluenceId) {
+        out.push(
+          `${pad(itemIndent + 2)}confluence_id: ${JSON.stringify(String(e.confluenceId))}`,
+        );
+      }
+    }
+    return out;
+  };
+
+  if (groupStart === -1) {
+    const itemIndent = bookIndent + 4;
+    lines.push(
+      `${pad(bookIndent)}- name: ${JSON.stringify(bookName)}`,
+      `${pad(bookIndent + 2)}pages:`,
+      ...entryLines(itemIndent),
+    );
+  } else {
+    // Insert after the last non-blank line of the group.
+    let insertAt = groupEnd;
+    while (insertAt > groupStart + 1 && isBlank(lines[insertAt - 1])) {
+      insertAt -= 1;
+    }
+    const pagesIdx = lines
+      .slice(groupStart + 1, groupEnd)
+      .findIndex((l) => /^ *pages:/.test(l));
+    if (pagesIdx !== -1) {
+      // "pages: []" -> block list.
+      const at = groupStart + 1 + pagesIdx;
+      lines[at] = lines[at].replace(/^( *pages:)\s*\[\s*\]\s*$/, "$1");
+    }
+    const pageItem = lines
+      .slice(groupStart + 1, groupEnd)
+      .find((l) => /^ *- name:/.test(l));
+    const itemIndent = pageItem ? indentOf(pageItem) : bookIndent + 4;
+    const added = entryLines(itemIndent);
+    if (pagesIdx === -1) added.unshift(`${pad(bookIndent + 2)}pages:`);
+    lines.splice(insertAt, 0, ...added);
+  }
+
+  const next = lines.join(eol) + eol;
+  // Sanity check before touching the file: the result must still parse.
+  const check = yaml.load(next);
+  if (!check || !Array.isArray(check.books)) {
+    throw new Error(`Не удалось дописать конфиг ${configPath}`);
+  }
+  fs.writeFileSync(configPath, next, "utf8");
+}
+
+/**
+ * Parse BookStack page URL to extract book_slug and page_slug.
+ * URL format: https://host/books/{book_slug}/page/{page_slug}
+ */
+function parseBookstackPageUrl(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    const m = u.pathname.match(/\/books\/([^/]+)\/page\/([^/]+)/);
+    return m ? { bookSlug: m[1], pageSlug: m[2] } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * BookStack page id lookup by "<book_slug>/<slug>", built from a single
+ * listing of /api/pages. `cache` ({ base, pages }) may be persisted by the
+ * caller; the index is rebuilt (at most once per run) when a lookup misses.
+ * forget(pageUrl) drops an id that turned out stale, so the next resolve()
+ * looks the page up in a fresh listing.
+ */
+function createBookstackPageIndex({
+  bookstackBase,
+  bsAuthHeader,
+  cache = {},
+  log = () => {},
+}) {
+  if (cache.base !== bookstackBase || !cache.pages) {
+    cache.base = bookstackBase;
+    cache.pages = {};
+  }
+  let rebuilt = null;
+
+  const rebuild = async () => {
+    log(`[bs] Строим индекс страниц BookStack: GET ${bookstackBase}/api/pages`);
+    const pages = await fetchBookstackListAll(`${bookstackBase}/api/pages`, {
+      headers: { Authorization: bsAuthHeader, Accept: "application/json" },
+    });
+    cache.pages = {};
+    for (const p of pages) {
+      if (p.book_slug && p.slug) cache.pages[`${p.book_slug}/${p.slug}`] = p.id;
+    }
+    log(`[bs] Индекс страниц BookStack: ${pages.length} страниц`);
+  };
+
+  const resolve = async (pageUrl) => {
+    const parsed = parseBookstackPageUrl(pageUrl);
+    if (!parsed) {
+      log(`[bs] parseBookstackPageUrl failed for: ${pageUrl}`);
+      return null;
+    }
+    const key = `${parsed.bookSlug}/${parsed.pageSlug}`;
+    if (cache.pages[key]) return cache.pages[key];
+    if (!rebuilt) rebuilt = rebuild();
+    await rebuilt;
+    if (cache.pages[key]) {
+      log(`[bs] Найдено: ${key} -> id=${cache.pages[key]}`);
+      return cache.pages[key];
+    }
+    log(`[bs] Страница не найдена в индексе: ${key}`);
+    return null;
+  };
+
+  const remember = ({ book_slug: bookSlug, slug, id }) => {
+    if (bookSlug && slug && id) cache.pages[`${bookSlug}/${slug}`] = id;
+  };
+
+  const forget = (pageUrl) => {
+    const parsed = parseBookstackPageUrl(pageUrl);
+    if (parsed) delete cache.pages[`${parsed.bookSlug}/${parsed.pageSlug}`];
+  };
+
+  return { resolve, remember, forget };
+}
+
+/**
+ * Check bookstack-config.yml: required fields, link format, confluence_id,
+ * duplicate names/aliases/links/ids and, unless bookstackBase is empty, that
+ * every link points to an existing BookStack page with the same name.
+ * Returns problems as [{ level: "error" | "warn", where, message }].
+ */
+async function validateBookstackConfig({
+  configPath,
+  bookstackBase,
+  bsAuthHeader,
+  log = () => {},
+}) {
+  const problems = [];
+  const add = (level, where, message) =>
+    problems.push({ level, where, message });
+
+  let data;
+  try {
+    data = yaml.load(fs.readFileSync(configPath, "utf8"));
+  } catch (e) {
+    add("error", configPath, `YAML не читается: ${e.message}`);
+    return { entries: 0, problems };
+  }
+  if (!data || !Array.isArray(data.books)) {
+    add("error", configPath, "нет списка books:");
+    return { entries: 0, problems };
+  }
+
+  const entries = [];
+  data.books.forEach((book, bi) => {
+    const bookName = String((book && book.name) || "").trim();
+    const bookWhere = bookName ? `"${bookName}"` : `books[${bi}]`;
+    if (!bookName) add("warn", bookWhere, "у книги нет name");
+    if (!book || !Array.isArray(book.pages)) {
+      add("warn", bookWhere, "нет списка pages:");
+      return;
+    }
+    book.pages.forEach((p, pi) => {
+      const name = String((p && p.name) || "").trim();
+      const link = String((p && p.link) || "").trim();
+      const where = `${bookWhere} / ${name ? `"${name}"` : `pages[${pi}]`}`;
+      if (!name) add("error", where, "нет name");
+      if (!link) {
+        add("error", where, "нет link");
+      } else if (!parseBookstackPageUrl(link)) {
+        add(
+          "error",
+          where,
+          `некорректная ссылка (ожидается <base>/books/<book>/page/<page>): ${link}`,
+        );
+      }
+      let confluenceId = null;
+      try {
+        confluenceId = confluenceIdFromConfigValue(
+          p && p.confluence_id != null
+            ? p.confluence_id
+            : p && p.confluence_url,
+        );
+      } catch (e) {
+        add("error", where, `некорректный confluence_id: ${e.message}`);
+      }
+      const aliases = (p && Array.isArray(p.aliases) ? p.aliases : [])
+        .map((a) => String(a || "").trim())
+        .filter(Boolean);
+      entries.push({ where, name, link, confluenceId, aliases });
+    });
+  });
+
+  const reportDuplicates = (label, keysOf) => {
+    const seen = new Map();
+    for (const e of entries) {
+      for (const key of new Set(keysOf(e).filter(Boolean))) {
+        if (seen.has(key)) {
+          add(
+            "error",
+            e.where,
+            `${label} "${key}" уже есть у ${seen.get(key)}`,
+          );
+        } else {
+          seen.set(key, e.where);
+        }
+      }
+    }
+  };
+  reportDuplicates("name/alias", (e) => [e.name, ...e.aliases]);
+  reportDuplicates("link", (e) => [e.link]);
+  reportDuplicates("confluence_id", (e) => [e.confluenceId]);
+
+  if (!bookstackBase) return { entries: entries.length, problems };
+
+  const headers = { Authorization: bsAuthHeader, Accept: "application/json" };
+  log(`[validate] Загружаем книги и страницы из ${bookstackBase}...`);
+  const books = await fetchBookstackListAll(`${bookstackBase}/api/books`, {
+    headers,
+  });
+  const pages = await fetchBookstackListAll(`${bookstackBase}/api/pages`, {
+    headers,
+  });
+  log(`[validate] BookStack: ${books.length} книг, ${pages.length} страниц`);
+  const bookSlugs = new Set(books.map((b) => String(b.slug || "")));
+  const pageByKey = new Map();
+  for (const p of pages) pageByKey.set(`${p.book_slug}/${p.slug}`, p);
+
+  for (const e of entries) {
+    const parsed = e.link ? parseBookstackPageUrl(e.link) : null;
+    if (!parsed) continue;
+    if (new URL(e.link).origin !== new URL(bookstackBase).origin) {
+      add("warn", e.where, `ссылка не на ${bookstackBase}: ${e.link}`);
+      continue;
+    }
+    if (!bookSlugs.has(parsed.bookSlug)) {
+      add(
+        "error",
+        e.where,
+        `книга "${parsed.bookSlug}" не найдена в BookStack`,
+      );
+      continue;
+    }
+    const page = pageByKey.get(`${parsed.bookSlug}/${parsed.pageSlug}`);
+    if (!page) {
+      add(
+        "error",
+        e.where,
+        `страница "${parsed.pageSlug}" не найдена в книге "${parsed.bookSlug}"`,
+      );
+      continue;
+    }
+    if (e.name && String(page.name || "").trim() !== e.name) {
+      add(
+        "warn",
+        e.where,
+        `в BookStack страница называется "${page.name}" (id=${page.id})`,
+      );
+    }
+  }
+  return { entries: entries.length, problems };
+}
+
+/**
+ * Rewrite Confluence links in HTML to BookStack links from config.
+ * Targets are resolved with config.lookup() by page id, then by title from
+ * titleById (confluenceId -> title); title-based links that were not
+ * resolved to an id are looked up by the title in the URL. Returns the
+ * number of rewritten links.
+ */
+function rewriteConfluenceLinksToBookstack(
+  $,
+  { titleById, config, confluenceBase },
+) {
+  const base = confluenceBase;
+  let rewritten = 0;
+  $("a[href]").each((_, a) => {
+    const href = String($(a).attr("href") || "").trim();
+    if (!href || href.startsWith("#")) return;
+
+    const ref = confluencePageRefFromHref(href, base);
+    if (!ref) return;
+    const linkedId = ref.pageId;
+
+    const target = linkedId
+      ? config.lookup({ id: linkedId, title: titleById.get(linkedId) })
+      : config.lookup({ title: ref.title });
+    if (!target) return;
+    const link = target.link;
+
+    rewritten += 1;
+    try {
+      const abs = absolutizeMaybe(href, base);
+      const u = new URL(abs);
+      const hash = u.hash || "";
+      $(a).attr("href", link + hash);
+    } catch {
+      $(a).attr("href", link);
+    }
+  });
+  return rewritten;
+}
+
+/**
+ * Whether a BookStack page was changed by someone else after our last write,
+ * judging by updated_at / revision_count recorded in the sync state entry.
+ * Returns a short description of the edit, or null.
+ */
+function editedInBookstackSince(prev, current, pageId) {
+  if (!prev || String(prev.bookstackPageId) !== String(pageId)) return null;
+  if (prev.bookstackRevision == null && !prev.bookstackUpdatedAt) return null;
+  const sameRevision =
+    prev.bookstackRevision == null ||
+    Number(current.revision_count) === Number(prev.bookstackRevision);
+  const sameTime =
+    !prev.bookstackUpdatedAt ||
+    String(current.updated_at) === String(prev.bookstackUpdatedAt);
+  if (sameRevision && sameTime) return null;
+  const by =
+    current.updated_by && typeof current.updated_by === "object"
+      ? current.updated_by.name
+      : current.updated_by;
+  return [
+    `ревизия ${prev.bookstackRevision} -> ${current.revision_count}`,
+    current.updated_at ? `обновлена ${current.updated_at}` : "",
+    by ? `автор ${by}` : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Backup of BookStack pages into `<root>/<timestamp>/`: <id>.html (and <id>.md
+ * for Markdown pages) plus manifest.json, rewritten after every page. A page
+ * is saved once, before its first update in the run.
+ */
+function createBookstackBackup({
+  root,
+  bookstackBase,
+  bsAuthHeader,
+  log = () => {},
+}) {
+  const createdAt = new Date().toISOString();
+  const dir = path.join(root, createdAt.replace(/[:.]/g, "-"));
+  const manifest = { createdAt, bookstackBase, pages: [] };
+  const saved = new Set();
+
+  // `current`: the page as already fetched by the caller, if any.
+  const save = async (pageId, current) => {
+    if (saved.has(String(pageId))) return;
+    saved.add(String(pageId));
+    const page =
+      current ||
+      (await fetchJson(`${bookstackBase}/api/pages/${pageId}`, {
+        headers: { Authorization: bsAuthHeader, Accept: "application/json" },
+      }));
+    ensureDirSync(dir);
+    const htmlFile = `${page.id}.html`;
+    // raw_html is the editor source: `html` has includes ({{@ id}}) expanded,
+    // restoring it would flatten them.
+    const source = page.raw_html != null ? page.raw_html : page.html;
+    fs.writeFileSync(path.join(dir, htmlFile), source || "", "utf8");
+    let markdownFile = null;
+    if (page.markdown) {
+      markdownFile = `${page.id}.md`;
+      fs.writeFileSync(path.join(dir, markdownFile), page.markdown, "utf8");
+    }
+    manifest.pages.push({
+      id: page.id,
+      name: page.name,
+      book_id: page.book_id,
+      chapter_id: page.chapter_id,
+      book_slug: page.book_slug,
+      slug: page.slug,
+      revision_count: page.revision_count,
+      updated_at: page.updated_at,
+      html: htmlFile,
+      markdown: markdownFile,
+    });
+    fs.writeFileSync(
+      path.join(dir, "manifest.json"),
+      JSON.stringify(manifest, null, 2),
+      "utf8",
+    );
+    log(`[backup] id=${page.id} "${page.name}" -> ${dir}`);
+  };
+
+  return { dir, manifest, save };
+}
+
+async function updateBookstackPage({
+  bookstackBase,
+  bsAuthHeader,
+  pageId,
+  html,
+  markdown,
+  name,
+  priority,
+  backup,
+  current,
+  log = () => {},
+}) {
+  // Keep the current content before overwriting it.
+  if (backup) await backup.save(pageId, current);
+  const url = `${bookstackBase}/api/pages/${pageId}`;
+  // BookStack takes either html or markdown; markdown wins when given.
+  const payload = markdown != null ? { markdown, name } : { html, name };
+  log(
+    markdown != null
+      ? `[bs] PUT ${url} (name="${name}", markdownLen=${markdown.length})`
+      : `[bs] PUT ${url} (name="${name}", htmlLen=${html ? html.length : 0})`,
+  );
+  if (priority != null) payload.priority = priority;
+  const res = await fetchJson(url, {
+    method: "PUT",
+    headers: {
+      Authorization: bsAuthHeader,
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+  log(`[bs] PUT ответ: id=${res.id} name="${res.name}"`);
+  return res;
+}
+
+async function findOrCreateBook({ bookstackBase, bsAuthHeader, desiredName }) {
+  const name = String(desiredName || "").trim();
+  requireNonEmpty(name, "Пустое имя книги для BookStack");
+
+  const like = encodeURIComponent(`%${name}%`);
+  const listUrl = `${bookstackBase}/api/books?count=500&filter[name:like]=${like}`;
+  const listing = await fetchJson(listUrl, {
+    headers: { Authorization: bsAuthHeader, Accept: "application/json" },
+  });
+
+  const items = Array.isArray(listing.data) ? listing.data : [];
+  const exact = items.find(
+    (b) =>
+      String(b.name || "")
+        .trim()
+        .toLowerCase() === name.toLowerCase(),
+  );
+  if (exact && exact.id)
+    return { id: exact.id, name: exact.name, existed: true };
+
+  const createUrl = `${bookstackBase}/api/books`;
+  const created = await fetchJson(createUrl, {
+    method: "POST",
+    headers: {
+      Authorization: bsAuthHeader,
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify({
+      name,
+      description_html: `<p>Imported from Confluence.</p>`,
+    }),
+  });
+
+  return { id: created.id, name: created.name, existed: false };
+}
+
+async function findOrCreateChapter({
+  bookstackBase,
+  bsAuthHeader,
+  bookId,
+  desiredName,
+  priority,
+}) {
+  const name = String(desiredName || "").trim();
+  requireNonEmpty(name, "Пустое имя главы для BookStack");
+
+  const like = encodeURIComponent(`%${name}%`);
+  const listUrl = `${bookstackBase}/api/chapters?count=500&filter[book_id]=${bookId}&filter[name:like]=${like}`;
+  const listing = await fetchJson(listUrl, {
+    headers: { Authorization: bsAuthHeader, Accept: "application/json" },
+  });
+
+  const items = Array.isArray(listing.data) ? listing.data : [];
+  const exact = items.find(
+    (c) =>
+      Number(c.book_id) === Number(bookId) &&
+      String(c.name || "")
+        .trim()
+        .toLowerCase() === name.toLowerCase(),
+  );
+  if (exact && exact.id) {
+    if (priority != null && Number(exact.priority) !== Number(priority)) {
+      await fetchJson(`${bookstackBase}/api/chapters/${exact.id}`, {
+        method: "PUT",
+        headers: {
+          Authorization: bsAuthHeader,
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({ priority }),
+      });
+    }
+    return { id: exact.id, name: exact.name, existed: true };
+  }
+
+  const payload = {
+    book_id: bookId,
+    name,
+    description_html: `<p>Imported from Confluence.</p>`,
+  };
+  if (priority != null) payload.priority = priority;
+  const created = await fetchJson(`${bookstackBase}/api/chapters`, {
+    method: "POST",
+    headers: {
+      Authorization: bsAuthHeader,
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+
+  return { id: created.id, name: created.name, existed: false };
+}
+
+/**
+ * Find a page by exact name directly in a book (chapterId empty) or in a chapter,
+ * then update it; create it if missing. Returns the BookStack page object.
+ */
+async function upsertBookstackPage({
+  bookstackBase,
+  bsAuthHeader,
+  bookId,
+  chapterId,
+  name,
+  html,
+  priority,
+  backup,
+  log = () => {},
+}) {
+  const listUrl = `${bookstackBase}/api/pages?count=500&filter[book_id]=${bookId}&filter[name]=${encodeURIComponent(
+    name,
+  )}`;
+  const listing = await fetchJson(listUrl, {
+    headers: { Authorization: bsAuthHeader, Accept: "application/json" },
+  });
+  const items = Array.isArray(listing.data) ? listing.data : [];
+  const existing = items.find(
+    (p) =>
+      Number(p.book_id) === Number(bookId) &&
+      Number(p.chapter_id || 0) === Number(chapterId || 0) &&
+      String(p.name || "").trim() === name,
+  );
+  if (existing && existing.id) {
+    const updated = await updateBookstackPage({
+      bookstackBase,
+      bsAuthHeader,
+      pageId: existing.id,
+      html,
+      name,
+      priority,
+      backup,
+      log,
+    });
+    return { ...existing, ...updated, existed: true };
+  }
+
+  const payload = { name, html };
+  if (chapterId) payload.chapter_id = chapterId;
+  else payload.book_id = bookId;
+  if (priority != null) payload.priority = priority;
+  const createUrl = `${bookstackBase}/api/pages`;
+  log(`[bs] POST ${createUrl} (name="${name}")`);
+  const created = await fetchJson(createUrl, {
+    method: "POST",
+    headers: {
+      Authorization: bsAuthHeader,
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+  return { ...created, existed: false };
+}
+
+/**
+ * Map exported Confluence tree pages onto BookStack structure:
+ * top-level page -> book (its own content becomes the first page),
+ * second-level page with children -> chapter (own content first, then all
+ * descendants flattened in Confluence order), second-level leaf -> book page.
+ * Priorities follow Confluence sibling order.
+ */
+function planBookstackTree(exported) {
+  const treePages = exported.filter((r) => r.inTree);
+  const byId = new Map(treePages.map((r) => [r.id, r]));
+  const childrenOf = new Map();
+  const tops = [];
+  for (const r of treePages) {
+    if (r.parentId && byId.has(r.parentId)) {
+      if (!childrenOf.has(r.parentId)) childrenOf.set(r.parentId, []);
+      childrenOf.get(r.parentId).push(r);
+    } else {
+      tops.push(r);
+    }
+  }
+  const byPosition = (a, b) =>
+    Number(a.position || 0) - Number(b.position || 0);
+  tops.sort(byPosition);
+  for (const list of childrenOf.values()) list.sort(byPosition);
+
+  const descendantsOf = (id) => {
+    const out = [];
+    for (const c of childrenOf.get(id) || []) {
+      out.push(c);
+      out.push(...descendantsOf(c.id));
+    }
+    return out;
+  };
+
+  const plan = [];
+  for (const top of tops) {
+    const book = top.title;
+    plan.push({ res: top, book, chapter: null, priority: 0 });
+    (childrenOf.get(top.id) || []).forEach((second, i) => {
+      const descendants = descendantsOf(second.id);
+      if (!descendants.length) {
+        plan.push({ res: second, book, chapter: null, priority: i + 1 });
+        return;
+      }
+      const chapter = { name: second.title, priority: i + 1 };
+      plan.push({ res: second, book, chapter, priority: 0 });
+      descendants.forEach((d, j) => {
+        plan.push({ res: d, book, chapter, priority: j + 1 });
+      });
+    });
+  }
+  return plan;
+}
+
+function guessContentTypeByPathname(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    const p = u.pathname.toLowerCase();
+    if (p.endsWith(".png")) return "image/png";
+    if (p.endsWith(".jpg") || p.endsWith(".jpeg")) return "image/jpeg";
+    if (p.endsWith(".gif")) return "image/gif";
+    if (p.endsWith(".webp")) return "image/webp";
+    if (p.endsWith(".svg")) return "image/svg+xml";
+    if (p.endsWith(".avif")) return "image/avif";
+  } catch {
+    // ignore
+  }
+  return "";
+}
+
+function absolutizeMaybe(urlStr, base) {
+  if (!urlStr) return urlStr;
+  const s = String(urlStr).trim();
+  if (!s) return s;
+  if (/^(data:|mailto:|tel:|#)/i.test(s)) return s;
+  try {
+    return new URL(s, base).toString();
+  } catch {
+    return s;
+  }
+}
+
+function looksLikeUrlText(text) {
+  const t = String(text || "").trim();
+  if (!t) return true;
+  if (!/^https?:\/\//i.test(t)) return false;
+  return true;
+}
+
+function looksLikeJoinedMixedScriptText(text) {
+  const t = String(text || "").trim();
+  if (!t) return false;
+  // Confluence export_view can flatten smart links into text like
+  return /[A-Za-z][\u0400-\u04FF]|[\u0400-\u04FF][A-Za-z]/.test(t);
+}
+
+function normalizeAnchorsAndLinks(
+  $,
+  { pageUrl, pageId, confluenceBase, rewriteSelfLinks = true },
+) {
+  const preserveIds = new Set(["__root"]);
+  let rewrittenSelfLinks = 0;
+
+  const normalizeText = (text, { treatHyphenAsSpace } = {}) => {
+    let t = String(text || "")
+      .trim()
+      .toLowerCase();
+    if (!t) return "";
+    if (treatHyphenAsSpace) t = t.replace(/-/g, " ");
+    // normalize whitespace
+    t = t.replace(/\s+/g, " ");
+    // Replace punctuation with spaces so words don't get glued together.
+    // This helps match "бонус-батчей" vs "бонус батчей" anchors reliably.
+    t = t.replace(/[^\p{L}\p{N}]+/gu, " ");
+    t = t.replace(/\s+/g, " ").trim();
+    return t;
+  };
+
+  const normalizeHash = (hash) => {
+    if (!hash) return "";
+    let h = String(hash).trim();
+    if (!h) return "";
+    if (h.startsWith("#")) h = h.slice(1);
+    try {
+      // Keep Confluence's ids, but normalize encoding if any.
+      h = decodeURIComponent(h);
+    } catch {
+      // ignore
+    }
+    // Confluence often includes trailing punctuation in autolinks.
+    h = h.replace(/[.)\]]+$/g, "");
+    return h;
+  };
+
+  const isSameConfluencePage = (hrefAbs) => {
+    if (!hrefAbs) return false;
+    try {
+      const ref = confluencePageRefFromUrl(new URL(hrefAbs));
+      return Boolean(ref && ref.pageId && ref.pageId === String(pageId));
+    } catch {
+      return false;
+    }
+  };
+
+  const getNiceAnchorText = (anchorToken) => {
+    const token = String(anchorToken || "").trim();
+    if (!token) return "";
+
+    // Prefer actual element text if we can find the target.
+    const byId = $(`[id="${token}"]`);
+    if (byId && byId.length) {
+      const t = String(byId.first().text() || "").trim();
+      if (t) return t;
+    }
+
+    // Fallback: de-hyphenate the token (common for "pretty" anchors).
+    const pretty = token.replace(/-/g, " ");
+    return pretty;
+  };
+
+  // Rewrite self-links to local hashes, and collect targets.
+  $("a[href]").each((_, a) => {
+    const href = String($(a).attr("href") || "").trim();
+    if (!href) return;
+
+    if (href.startsWith("#")) {
+      const t = normalizeHash(href);
+      if (t) preserveIds.add(t);
+      return;
+    }
+
+    // Convert absolute (or relative) Confluence links to this same page into local anchors.
+    const abs = absolutizeMaybe(href, confluenceBase);
+    if (!rewriteSelfLinks) return;
+
+    if (abs.includes("#") && isSameConfluencePage(abs)) {
+      const u = new URL(abs);
+      const t = normalizeHash(u.hash);
+      if (t) {
+        // Keep as raw token to avoid unreadable %D0... hashes in output.
+        $(a).attr("href", `#${t}`);
+        preserveIds.add(t);
+        rewrittenSelfLinks += 1;
+
+        // Confluence "smart links" often export with the URL as the visible text.
+        // Replace that with a nicer human label (target heading text, if possible).
+        const currentText = String($(a).text() || "").trim();
+        const looksLikeUrl =
+          /^https?:\/\//i.test(currentText) &&
+          currentText.includes("#") &&
+          isSameConfluencePage(currentText);
+        if (looksLikeUrl || currentText === abs || currentText === href) {
+          const nice = getNiceAnchorText(t);
+          if (nice) $(a).text(nice);
+        }
+      }
+    }
+  });
+
+  // Build a map of headings by normalized text to an element.
+  const headings = $("h1,h2,h3,h4,h5,h6").toArray();
+  const headingByText = new Map();
+  headings.forEach((h) => {
+    const text = $(h).text();
+    const key = normalizeText(text);
+    if (!key) return;
+    if (!headingByText.has(key)) headingByText.set(key, h);
+    // Always preserve existing heading ids.
+    const id = $(h).attr("id");
+    if (id) preserveIds.add(String(id));
+  });
+
+  // If TOC links use Confluence id-... scheme, ensure the target heading gets that id.
+  $('a[href^="#id-"]').each((_, a) => {
+    const href = String($(a).attr("href") || "").trim();
+    const desiredId = normalizeHash(href);
+    const linkText = $(a).text();
+    const key = normalizeText(linkText);
+    if (!desiredId || !key) return;
+    preserveIds.add(desiredId);
+
+    const heading = headingByText.get(key);
+    if (!heading) return;
+    const currentId = $(heading).attr("id");
+    if (!currentId) {
+      $(heading).attr("id", desiredId);
+    }
+    preserveIds.add($(heading).attr("id"));
+  });
+
+  // Convert "pretty" Confluence anchors (often based on heading text) to the real heading id.
+  // Example: href="#%D0%A2%D0%BE%D0%BF-%D0%B8%D0%B3%D1%80" -> match heading "Топ игр".
+  $('a[href^="#"]').each((_, a) => {
+    const href = String($(a).attr("href") || "").trim();
+    if (!href || href.startsWith("#id-")) return;
+    const decoded = normalizeHash(href);
+    if (!decoded) return;
+
+    const key = normalizeText(decoded, { treatHyphenAsSpace: true });
+    if (!key) return;
+    const heading = headingByText.get(key);
+    if (!heading) return;
+
+    // Ensure heading has an id.
+    let hid = $(heading).attr("id");
+    if (!hid) {
+      // Prefer stable id- prefix if missing.
+      hid = `id-${$(heading).text().trim().replace(/\s+/g, "")}`;
+      $(heading).attr("id", hid);
+    }
+    preserveIds.add(hid);
+    $(a).attr("href", `#${hid}`);
+  });
+
+  // Confluence sometimes uses name="..." anchors; convert them to ids so #... works.
+  $("[name]").each((_, el) => {
+    const name = String($(el).attr("name") || "").trim();
+    if (!name) return;
+    if (!$(el).attr("id")) $(el).attr("id", name);
+    preserveIds.add(name);
+  });
+
+  // If there are preserveIds, ensure matching elements keep the id.
+  return { preserveIds, rewrittenSelfLinks, pageUrl: pageUrl || null };
+}
+
+// Confluence panel flavours -> BookStack callout types (info|warning|danger|success).
+const CALLOUT_BY_LEGACY_MACRO_CLASS = {
+  information: "info",
+  note: "warning",
+  warning: "danger",
+  tip: "success",
+};
+const CALLOUT_BY_PANEL_TYPE = {
+  info: "info",
+  note: "info",
+  warning: "warning",
+  error: "danger",
+  success: "success",
+  tip: "success",
+};
+const CALLOUT_BY_MACRO_NAME = {
+  info: "info",
+  note: "warning",
+  warning: "danger",
+  tip: "success",
+};
+
+function confluencePanelCalloutType($el) {
+  const cls = String($el.attr("class") || "");
+  const legacy = cls.match(/confluence-information-macro-(\w+)/);
+  if (legacy && CALLOUT_BY_LEGACY_MACRO_CLASS[legacy[1]]) {
+    return CALLOUT_BY_LEGACY_MACRO_CLASS[legacy[1]];
+  }
+  const panelType = String($el.attr("data-panel-type") || "").toLowerCase();
+  if (CALLOUT_BY_PANEL_TYPE[panelType]) return CALLOUT_BY_PANEL_TYPE[panelType];
+  const macroName = String($el.attr("data-macro-name") || "").toLowerCase();
+  if (CALLOUT_BY_MACRO_NAME[macroName]) return CALLOUT_BY_MACRO_NAME[macroName];
+  return "";
+}
+
+/**
+ * Rewrite Confluence info/note/warning/tip (and success/error) panels into
+ * BookStack callouts: <p class="callout info|warning|danger|success">.
+ * Callouts can only hold inline content, so paragraphs are joined with <br>
+ * and nested blocks (lists, tables, code) are kept between callout segments.
+ * Must run before stripConfluenceNoise (it relies on Confluence classes).
+ */
+function convertConfluencePanels($) {
+  const blockTags = new Set([
+    "ul",
+    "ol",
+    "table",
+    "pre",
+    "blockquote",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "hr",
+    "details",
+  ]);
+  let converted = 0;
+
+  // Innermost panels first, so nested panels are already flattened.
+  const panels = $(
+    ".confluence-information-macro, [data-panel-type], [data-macro-name]",
+  )
+    .toArray()
+    .reverse();
+
+  for (const el of panels) {
+    const $el = $(el);
+    const type = confluencePanelCalloutType($el);
+    if (!type) continue;
+
+    $el.find(".confluence-information-macro-icon, .aui-icon").remove();
+    const $title = $el.children(".title, .panelHeader").first();
+    const title = $title.length ? $title.text().trim() : "";
+    $title.remove();
+    const $body = $el
+      .find(".confluence-information-macro-body, .panelContent, .panel-body")
+      .first();
+    const root = $body.length ? $body : $el;
+
+    const segments = []; // { kind: "inline", parts: [html] } | { kind: "block", html }
+    let inline = [];
+    let pendingInline = "";
+    const flushPending = () => {
+      if (pendingInline.trim()) inline.push(pendingInline.trim());
+      pendingInline = "";
+    };
+    const flushInline = () => {
+      flushPending();
+      if (inline.length) segments.push({ kind: "inline", parts: inline });
+      inline = [];
+    };
+    const walk = (nodes) => {
+      for (const node of nodes) {
+        if (node.type === "text") {
+          pendingInline += $(node).text();
+          continue;
+        }
+        if (node.type !== "tag") continue;
+        const tag = node.tagName.toLowerCase();
+        if (tag === "p") {
+          flushPending();
+          const html = String($(node).html() || "").trim();
+          if (html) inline.push(html);
+        } else if (tag === "div") {
+          flushPending();
+          walk($(node).contents().toArray());
+          flushPending();
+        } else if (blockTags.has(tag)) {
+          flushInline();
+          segments.push({ kind: "block", html: $.html(node) });
+        } else {
+          pendingInline += $.html(node);
+        }
+      }
+    };
+    walk(root.contents().toArray());
+    flushInline();
+
+    let titleUsed = false;
+    const out = segments.map((seg) => {
+      if (seg.kind === "block") return seg.html;
+      const parts = [...seg.parts];
+      if (title && !titleUsed)
+        parts.unshift(`<strong>${escapeHtml(title)}</strong>`);
+      titleUsed = true;
+      return `<p class="callout ${type}">${parts.join("<br>")}</p>`;
+    });
+    if (title && !titleUsed) {
+      out.unshift(
+        `<p class="callout ${type}"><strong>${escapeHtml(title)}</strong></p>`,
+      );
+    }
+    $el.replaceWith(out.join(""));
+    converted += 1;
+  }
+  return converted;
+}
+
+// False for nodes inside a subtree that was already replaced/removed.
+function isAttached(node) {
+  let cur = node;
+  while (cur.parent) cur = cur.parent;
+  return cur.type === "root";
+}
+
+// Confluence code macro brushes -> BookStack (CodeMirror) language names.
+const CODE_LANGUAGE_ALIASES = {
+  js: "javascript",
+  javascript: "javascript",
+  jscript: "javascript",
+  ts: "typescript",
+  typescript: "typescript",
+  json: "json",
+  py: "python",
+  python: "python",
+  rb: "ruby",
+  ruby: "ruby",
+  "c#": "csharp",
+  csharp: "csharp",
+  cs: "csharp",
+  cpp: "cpp",
+  "c++": "cpp",
+  c: "c",
+  java: "java",
+  kotlin: "kotlin",
+  go: "go",
+  php: "php",
+  sql: "sql",
+  xml: "xml",
+  html: "html",
+  xhtml: "html",
+  css: "css",
+  scss: "scss",
+  sass: "scss",
+  bash: "bash",
+  shell: "bash",
+  sh: "bash",
+  powershell: "powershell",
+  ps: "powershell",
+  yaml: "yaml",
+  yml: "yaml",
+  diff: "diff",
+  groovy: "groovy",
+  scala: "scala",
+  swift: "swift",
+  perl: "perl",
+  lua: "lua",
+  rust: "rust",
+  dockerfile: "dockerfile",
+  graphql: "graphql",
+  markdown: "markdown",
+};
+
+function normalizeCodeLanguage(raw) {
+  const key = String(raw || "")
+    .trim()
+    .toLowerCase();
+  if (!key || key === "none" || key === "text" || key === "plain") return "";
+  return CODE_LANGUAGE_ALIASES[key] || "";
+}
+
+function codeLanguageOf($el) {
+  const params = String($el.attr("data-syntaxhighlighter-params") || "");
+  const brush = params.match(/brush:\s*([^;]+)/i);
+  if (brush) return normalizeCodeLanguage(brush[1]);
+  const dataLang = $el.attr("data-language") || $el.attr("data-code-language");
+  if (dataLang) return normalizeCodeLanguage(dataLang);
+  for (const token of String($el.attr("class") || "").split(/\s+/)) {
+    const m = token.match(/^(?:language-|brush:)?(.+)$/);
+    const lang = m ? normalizeCodeLanguage(m[1]) : "";
+    if (lang) return lang;
+  }
+  return "";
+}
+
+// Plain text of a code element; <br> and SyntaxHighlighter ".line" rows become newlines.
+function codeTextOf($, $el) {
+  const lines = $el.find(".line");
+  let text;
+  if (lines.length) {
+    text = lines
+      .toArray()
+      .map((line) => $(line).text())
+      .join("\n");
+  } else {
+    const clone = $el.clone();
+    clone.find("br").replaceWith("\n");
+    text = clone.text();
+  }
+  // SyntaxHighlighter renders indentation with &nbsp;
+  return text.replace(/\u00a0/g, " ");
+}
+
+/**
+ * Rewrite Confluence code/noformat macros (plain <pre> or SyntaxHighlighter
+ * tables) into <pre><code class="language-xxx">, which BookStack's code editor
+ * recognizes. Whitespace is kept as is. Must run before stripConfluenceNoise.
+ */
+function convertConfluenceCodeBlocks($) {
+  let converted = 0;
+  const makeBlock = (code, lang) => {
+    const $code = $("<code></code>").text(code);
+    if (lang) $code.attr("class", `language-${lang}`);
+    return $("<pre></pre>").append($code);
+  };
+
+  // Macro containers: header (title) + content.
+  $(
+    '[data-macro-name="code"], [data-macro-name="noformat"], div.code.panel, div.preformatted.panel',
+  ).each((_, el) => {
+    const $el = $(el);
+    if (!isAttached(el)) return; // already replaced with an ancestor
+    const $src = $el.find("pre, .syntaxhighlighter").first();
+    if (!$src.length) return;
+    const lang =
+      codeLanguageOf($src) ||
+      codeLanguageOf($src.find("code").first()) ||
+      codeLanguageOf($el);
+    const title = $el.find(".codeHeader, .preformattedHeader").first().text();
+    if (title.trim()) {
+      $el.before(
+        $("<p></p>").append($("<strong></strong>").text(title.trim())),
+      );
+    }
+    $el.replaceWith(makeBlock(codeTextOf($, $src), lang));
+    converted += 1;
+  });
+
+  // Standalone SyntaxHighlighter tables and pre blocks with language hints.
+  $(
+    "div.syntaxhighlighter, pre.syntaxhighlighter-pre, pre[data-language]",
+  ).each((_, el) => {
+    const $el = $(el);
+    if (!isAttached(el)) return;
+    $el.replaceWith(makeBlock(codeTextOf($, $el), codeLanguageOf($el)));
+    converted += 1;
+  });
+  return converted;
+}
+
+/**
+ * Rewrite Confluence expand macros into native <details><summary>.
+ * The "click to expand" control text becomes the summary.
+ */
+function convertConfluenceExpandMacros($) {
+  let converted = 0;
+  // Innermost first: outer expands then carry already converted content.
+  const expands = $('.expand-container, [data-macro-name="expand"]')
+    .toArray()
+    .reverse();
+  for (const el of expands) {
+    const $el = $(el);
+    const summary =
+      $el.find(".expand-control-text").first().text().trim() ||
+      String($el.attr("data-title") || "").trim() ||
+      "Подробнее";
+    let $content = $el.children(".expand-content");
+    if (!$content.length) $content = $el.find(".expand-content").first();
+    const inner = $content.length
+      ? $content.html() || ""
+      : $el.clone().find(".expand-control").remove().end().html() || "";
+
+    const $details = $("<details></details>");
+    $details.append($("<summary></summary>").text(summary));
+    $details.append(inner);
+    $el.replaceWith($details);
+    converted += 1;
+  }
+  return converted;
+}
+
+// Status lozenge colour -> inline badge style (Atlassian palette).
+const STATUS_BADGE_COLORS = {
+  grey: ["#dfe1e6", "#42526e"],
+  green: ["#e3fcef", "#006644"],
+  red: ["#ffebe6", "#bf2600"],
+  yellow: ["#fff0b3", "#172b4d"],
+  blue: ["#deebff", "#0747a6"],
+  purple: ["#eae6ff", "#403294"],
+};
+const STATUS_COLOR_BY_LOZENGE_CLASS = {
+  success: "green",
+  error: "red",
+  current: "yellow",
+  moved: "yellow",
+  complete: "blue",
+  new: "purple",
+};
+
+function statusBadgeColor($el) {
+  const explicit = String(
+    $el.attr("data-color") || $el.attr("data-status-color") || "",
+  ).toLowerCase();
+  if (STATUS_BADGE_COLORS[explicit]) return explicit;
+  if (explicit === "neutral") return "grey";
+  const m = String($el.attr("class") || "").match(
+    /aui-lozenge-(success|error|current|moved|complete|new)/,
+  );
+  return m ? STATUS_COLOR_BY_LOZENGE_CLASS[m[1]] : "grey";
+}
+
+/**
+ * Rewrite status macros (aui-lozenge) into a consistent inline badge.
+ * The colour lives in an inline style, which stripConfluenceNoise keeps.
+ */
+function convertConfluenceStatusLozenges($) {
+  let converted = 0;
+  $(
+    '.status-macro, [data-macro-name="status"], [data-node-type="status"], .aui-lozenge',
+  ).each((_, el) => {
+    const $el = $(el);
+    if (!isAttached(el)) return;
+    const text = $el.text().trim();
+    if (!text) {
+      $el.remove();
+      return;
+    }
+    const [bg, fg] = STATUS_BADGE_COLORS[statusBadgeColor($el)];
+    const $badge = $("<span></span>")
+      .text(text.toUpperCase())
+      .attr(
+        "style",
+        `background-color: ${bg}; color: ${fg}; font-weight: bold; font-size: 0.85em; padding: 1px 5px; border-radius: 3px;`,
+      );
+    $el.replaceWith($badge);
+    converted += 1;
+  });
+  return converted;
+}
+
+/**
+ * Rewrite Jira issue macros into a plain link "KEY: summary".
+ * The URL comes from the macro's own link, or from jiraBase (/browse/KEY).
+ */
+function convertConfluenceJiraMacros($, { jiraBase } = {}) {
+  let converted = 0;
+  $(
+    '.confluence-jim-macro, .jira-issue, [data-jira-key], [data-macro-name="jira"]',
+  ).each((_, el) => {
+    const $el = $(el);
+    if (!isAttached(el)) return;
+    const $keyLink = $el.find("a.jira-issue-key, a[href*='/browse/']").first();
+    const key = String(
+      $el.attr("data-jira-key") || $keyLink.text() || "",
+    ).trim();
+    if (!key) return;
+
+    let href = $keyLink.attr("href") || "";
+    if (!href && jiraBase) {
+      href = `${String(jiraBase).replace(/\/+$/, "")}/browse/${encodeURIComponent(key)}`;
+    }
+    const summary = $el.find(".summary").first().text().trim();
+    const $status = $el.find(".aui-lozenge").first().clone();
+
+    const $out = $("<span></span>");
+    if (href) $out.append($("<a></a>").attr("href", href).text(key));
+    else $out.append($("<span></span>").text(key));
+    if (summary) $out.append(escapeHtml(`: ${summary}`));
+    if ($status.length) $out.append(" ").append($status);
+    $el.replaceWith($out.contents());
+    converted += 1;
+  });
+  return converted;
+}
+
+// Storage format is XHTML with ac:/ri: elements: self-closing tags and CDATA
+// must be recognized, and tag/attribute names keep their prefixes.
+const STORAGE_PARSE_OPTIONS = {
+  xml: {
+    xmlMode: false,
+    recognizeCDATA: true,
+    recognizeSelfClosing: true,
+    decodeEntities: true,
+    encodeEntities: "utf8",
+    lowerCaseTags: false,
+    lowerCaseAttributeNames: false,
+  },
+};
+
+// Navigation macros: BookStack builds its own page navigation.
+const STORAGE_DROPPED_MACROS = new Set([
+  "toc",
+  "toc-zone",
+  "children",
+  "pagetree",
+  "pagetreesearch",
+  "recently-updated",
+  "contributors",
+  "livesearch",
+  "create-from-template",
+]);
+
+const STORAGE_EMOTICONS = {
+  smile: "🙂",
+  sad: "🙁",
+  cheeky: "😛",
+  laugh: "😀",
+  wink: "😉",
+  "thumbs-up": "👍",
+  "thumbs-down": "👎",
+  information: "ℹ️",
+  tick: "✅",
+  cross: "❌",
+  warning: "⚠️",
+  plus: "➕",
+  minus: "➖",
+  question: "❓",
+  "light-on": "💡",
+  "light-off": "💡",
+  "yellow-star": "⭐",
+  heart: "❤️",
+};
+
+/**
+ * Convert a page in Confluence storage format (body.storage) into plain HTML
+ * for the rest of the convertPage pipeline. Macros are read from their
+ * parameters instead of the rendered export_view markup:
+ *   ac:link + ri:page        -> <a> to viewpage.action (by id, or by space and
+ *                               title for resolveConfluenceTitleLinks)
+ *   ac:link + ri:attachment  -> <a> to /download/attachments/<pageId>/<file>
+ *   ac:link + ri:user        -> its text, or [пользователь Confluence «name»]
+ *   ac:image                 -> <img> of the attachment or URL
+ *   view-file, multimedia    -> <a> to the attachment
+ *   anchor macro / ac:anchor -> <a name> / #anchor
+ *   code, noformat           -> <pre><code class="language-xxx">
+ *   info/note/warning/tip    -> panel markup for convertConfluencePanels
+ *   panel                    -> its title in <strong>, then the body
+ *   html                     -> the HTML itself
+ *   expand                   -> <details><summary>
+ *   status, jira             -> markup for the status and Jira converters
+ *   layouts, sections        -> their cells one after another
+ *   task lists               -> lists with ☑/☐
+ * Navigation macros are dropped, other unknown macros keep their rich-text
+ * body; without one they leave a visible [макрос Confluence «name»] and a
+ * warning. What needs the API is only marked: include/excerpt-include
+ * (<div data-include>) and attachments of pages known by title
+ * (data-attachment-*); resolveStorageReferences fills those in.
+ */
+function convertStorageToHtml(
+  storage,
+  { confluenceBase, pageId = null, spaceKey = "", warn = console.warn } = {},
+) {
+  const base = String(confluenceBase || "").replace(/\/+$/, "");
+  const $ = cheerio.load(String(storage || ""), STORAGE_PARSE_OPTIONS, false);
+
+  const childrenByTag = ($el, tag) =>
+    $el.children().filter((_, c) => c.tagName === tag);
+  const paramOf = ($m, name) =>
+    childrenByTag($m, "ac:parameter")
+      .filter((_, p) => ($(p).attr("ac:name") || "") === name)
+      .first();
+  const macroParam = ($m, name) => paramOf($m, name).text().trim();
+  const resourceOf = ($el) =>
+    $el
+      .children()
+      .filter((_, c) => /^ri:/.test(c.tagName))
+      .first();
+
+  const pageHref = ($ri) => {
+    const id = $ri.attr("ri:content-id");
+    if (id) return `${base}/pages/viewpage.action?pageId=${id}`;
+    const title = $ri.attr("ri:content-title");
+    const space = $ri.attr("ri:space-key") || spaceKey;
+    if (!title || !space) return null;
+    const query = new URLSearchParams({ spaceKey: space, title });
+    return `${base}/pages/viewpage.action?${query}`;
+  };
+  // Point attr of $el at the attachment; false if there is nothing to point
+  // at. Attachments of another page usually name it only by title: those
+  // get data-attachment-* for resolveStorageReferences instead.
+  const linkAttachment = ($el, attr, $ri) => {
+    const filename = $ri.attr("ri:filename");
+    if (!filename) return false;
+    const $owner = resourceOf($ri);
+    const ownerId = $owner.length ? $owner.attr("ri:content-id") : pageId;
+    if (ownerId) {
+      $el.attr(
+        attr,
+        `${base}/download/attachments/${ownerId}/${encodeURIComponent(filename)}`,
+      );
+      return true;
+    }
+    const title = $owner.attr("ri:content-title");
+    const space = $owner.attr("ri:space-key") || spaceKey;
+    if (!title || !space) return false;
+    $el.attr({
+      "data-attachment-space": space,
+      "data-attachment-title": title,
+      "data-attachment-file": filename,
+    });
+    return true;
+  };
+  const unknownMacro = ($m, name) => {
+    warn(
+      `[warn] Макрос Confluence «${name}» не поддерживается (pageId=${pageId}), на его месте оставлена пометка`,
+    );
+    $m.replaceWith($("<span></span>").text(`[макрос Confluence «${name}»]`));
+  };
+  const hashOf = (anchor) => (anchor ? `#${encodeURIComponent(anchor)}` : "");
+
+  $("ac\\:image").each((_, el) => {
+    const $el = $(el);
+    const $ri = resourceOf($el);
+    const kind = $ri.length ? $ri[0].tagName : "";
+    const $img = $("<img>");
+    let linked = false;
+    if (kind === "ri:url" && $ri.attr("ri:value")) {
+      $img.attr("src", $ri.attr("ri:value"));
+      linked = true;
+    } else if (kind === "ri:attachment") {
+      linked = linkAttachment($img, "src", $ri);
+    }
+    if (!linked) {
+      const name = $ri.attr("ri:filename") || $el.attr("ac:alt") || "";
+      $el.replaceWith(name ? $("<span></span>").text(`[${name}]`) : "");
+      return;
+    }
+    for (const attr of ["alt", "title", "width", "height"]) {
+      const value = $el.attr(`ac:${attr}`);
+      if (value) $img.attr(attr, value);
+    }
+    $el.replaceWith($img);
+  });
+
+  // Innermost first: link bodies may hold other converted markup.
+  for (const el of $("ac\\:link").toArray().reverse()) {
+    const $el = $(el);
+    const anchor = String($el.attr("ac:anchor") || "").trim();
+    const $ri = resourceOf($el);
+    const kind = $ri.length ? $ri[0].tagName : "";
+    const $body = childrenByTag($el, "ac:link-body");
+    const plainBody = childrenByTag($el, "ac:plain-text-link-body").text();
+
+    const $a = $("<a></a>");
+    let href = null;
+    let linked = false;
+    let fallbackText = anchor;
+    if (kind === "ri:page" || kind === "ri:blog-post") {
+      const target = pageHref($ri);
+      href = target ? target + hashOf(anchor) : null;
+      fallbackText = $ri.attr("ri:content-title") || anchor;
+    } else if (kind === "ri:attachment") {
+      linked = linkAttachment($a, "href", $ri);
+      fallbackText = $ri.attr("ri:filename") || "";
+    } else if (kind === "ri:url") {
+      href = $ri.attr("ri:value") || null;
+      fallbackText = href || "";
+    } else if (kind === "ri:space") {
+      const key = $ri.attr("ri:space-key");
+      href = key ? `${base}/display/${encodeURIComponent(key)}` : null;
+      fallbackText = key || "";
+    } else if (kind === "ri:content-entity") {
+      const id = $ri.attr("ri:content-id");
+      href = id ? `${base}/pages/viewpage.action?pageId=${id}` : null;
+    } else if (kind === "ri:user") {
+      // Users are not looked up: a mention keeps its own text, or a note.
+      const who =
+        $ri.attr("ri:username") ||
+        $ri.attr("ri:userkey") ||
+        $ri.attr("ri:account-id") ||
+        "?";
+      fallbackText = `[пользователь Confluence «${who}»]`;
+      warn(
+        `[warn] Упоминание пользователя Confluence «${who}» перенесено без ссылки (pageId=${pageId})`,
+      );
+    } else if (!kind && anchor) {
+      href = hashOf(anchor);
+    }
+
+    if (href) $a.attr("href", href);
+    const $out = href || linked ? $a : $("<span></span>");
+    if ($body.length) $out.append($body.contents());
+    else if (plainBody.trim()) $out.text(plainBody);
+    else $out.text(fallbackText);
+    if (!$out.text().trim() && !$out.find("img").length) {
+      $el.remove();
+      continue;
+    }
+    $el.replaceWith($out);
+  }
+
+  $("ac\\:emoticon").each((_, el) => {
+    const $el = $(el);
+    $el.replaceWith(
+      $el.attr("ac:emoji-fallback") ||
+        STORAGE_EMOTICONS[$el.attr("ac:name")] ||
+        "",
+    );
+  });
+  $("ac\\:placeholder").remove();
+  $("ac\\:inline-comment-marker").each((_, el) => {
+    $(el).replaceWith($(el).contents());
+  });
+  $("time[datetime]").each((_, el) => {
+    const $el = $(el);
+    if (!$el.text().trim()) $el.text($el.attr("datetime"));
+  });
+
+  for (const el of $("ac\\:task").toArray().reverse()) {
+    const $el = $(el);
+    const done = childrenByTag($el, "ac:task-status").text().trim();
+    const $li = $("<li></li>").text(done === "complete" ? "☑ " : "☐ ");
+    $li.append(childrenByTag($el, "ac:task-body").contents());
+    $el.replaceWith($li);
+  }
+  $("ac\\:task-list").each((_, el) => {
+    $(el).replaceWith($("<ul></ul>").append($(el).contents()));
+  });
+
+  // Innermost first, so outer macros move already converted content.
+  const macros = $("ac\\:structured-macro, ac\\:macro").toArray().reverse();
+  for (const el of macros) {
+    const $m = $(el);
+    const name = String($m.attr("ac:name") || "").toLowerCase();
+    const $rich = childrenByTag($m, "ac:rich-text-body");
+    const plain = childrenByTag($m, "ac:plain-text-body").text();
+    const title = macroParam($m, "title");
+
+    if (name === "code" || name === "noformat") {
+      const lang = normalizeCodeLanguage(macroParam($m, "language"));
+      const $code = $("<code></code>").text(plain);
+      if (lang) $code.attr("class", `language-${lang}`);
+      const $out = $("<pre></pre>").append($code);
+      if (title) {
+        $m.before($("<p></p>").append($("<strong></strong>").text(title)));
+      }
+      $m.replaceWith($out);
+    } else if (CALLOUT_BY_MACRO_NAME[name]) {
+      const $panel = $("<div></div>").attr("data-macro-name", name);
+      if (title) $panel.append($('<div class="title"></div>').text(title));
+      $panel.append(
+        $('<div class="panel-body"></div>').append($rich.contents()),
+      );
+      $m.replaceWith($panel);
+    } else if (name === "panel") {
+      if (title) {
+        $m.before($("<p></p>").append($("<strong></strong>").text(title)));
+      }
+      $m.replaceWith($rich.contents());
+    } else if (name === "html") {
+      $m.replaceWith(plain);
+    } else if (name === "view-file" || name === "multimedia") {
+      const $ri = childrenByTag(paramOf($m, "name"), "ri:attachment").first();
+      const $a = $("<a></a>");
+      if ($ri.length && linkAttachment($a, "href", $ri)) {
+        $m.replaceWith($a.text($ri.attr("ri:filename")));
+      } else {
+        unknownMacro($m, name);
+      }
+    } else if (name === "include" || name === "excerpt-include") {
+      // ac:link in the parameter is an <a> by now; older pages have a bare
+      // ri:page there.
+      const $param = paramOf($m, "");
+      const $ri = childrenByTag($param, "ri:page").first();
+      const href = $ri.length
+        ? pageHref($ri)
+        : $param.find("a[href]").first().attr("href");
+      if (href) {
+        $m.replaceWith(
+          $("<div></div>").attr({
+            "data-include": name,
+            "data-include-href": href,
+          }),
+        );
+      } else {
+        unknownMacro($m, name);
+      }
+    } else if (name === "expand") {
+      const $details = $("<details></details>");
+      $details.append($("<summary></summary>").text(title || "Подробнее"));
+      $details.append($rich.contents());
+      $m.replaceWith($details);
+    } else if (name === "status") {
+      $m.replaceWith(
+        $("<span></span>")
+          .attr("data-macro-name", "status")
+          .attr("data-color", macroParam($m, "colour").toLowerCase())
+          .text(title),
+      );
+    } else if (name === "jira") {
+      const key = macroParam($m, "key");
+      $m.replaceWith(key ? $("<span></span>").attr("data-jira-key", key) : "");
+    } else if (name === "anchor") {
+      const anchor = macroParam($m, "") || macroParam($m, "0");
+      $m.replaceWith(anchor ? $("<a></a>").attr("name", anchor) : "");
+    } else if (STORAGE_DROPPED_MACROS.has(name)) {
+      $m.remove();
+    } else if ($rich.length) {
+      $m.replaceWith($rich.contents());
+    } else {
+      unknownMacro($m, name);
+    }
+  }
+
+  // Cloud panels and other editor nodes: panels by type, the rest by their
+  // fallback markup.
+  for (const el of $("ac\\:adf-extension").toArray().reverse()) {
+    const $el = $(el);
+    const $node = childrenByTag($el, "ac:adf-node").first();
+    const panelType = childrenByTag($node, "ac:adf-attribute")
+      .filter((_, a) => $(a).attr("key") === "panel-type")
+      .text()
+      .trim();
+    if ($node.attr("type") === "panel" && panelType) {
+      $el.replaceWith(
+        $("<div></div>")
+          .attr("data-panel-type", panelType)
+          .append(
+            $('<div class="panel-body"></div>').append(
+              childrenByTag($node, "ac:adf-content").contents(),
+            ),
+          ),
+      );
+    } else {
+      $el.replaceWith(childrenByTag($el, "ac:adf-fallback").contents());
+    }
+  }
+
+  // Layouts and anything else left: keep the content, drop the wrappers.
+  for (const el of $("*").toArray().reverse()) {
+    if (!/^(ac|ri):/.test(el.tagName)) continue;
+    const $el = $(el);
+    if (/^ri:/.test(el.tagName) || el.tagName === "ac:parameter") {
+      $el.remove();
+    } else {
+      $el.replaceWith($el.contents());
+    }
+  }
+
+  return $.html();
+}
+
+/**
+ * Second, async half of convertStorageToHtml: looks up what storage names by
+ * title. Attachments of other pages get the owner's id in their src/href;
+ * include and excerpt-include are replaced with the converted body (or just
+ * the excerpt macro) of the included page, fetched with getPage(id), whose
+ * html must be storage. Page ids come from findPageId(spaceKey, title).
+ * Whatever cannot be resolved, including everything when findPageId/getPage
+ * are not given, is reported with warn: attachments become [file name] text,
+ * includes a [макрос Confluence «include»: title] note. Included pages are
+ * resolved the same way; `seen` holds the pages on the way there, so an
+ * include loop stops.
+ */
+async function resolveStorageReferences(
+  html,
+  {
+    confluenceBase,
+    findPageId = null,
+    getPage = null,
+    pageId = null,
+    warn = console.warn,
+    seen = new Set(pageId ? [String(pageId)] : []),
+  } = {},
+) {
+  const base = String(confluenceBase || "").replace(/\/+$/, "");
+  const $ = cheerio.load(String(html || ""), STORAGE_PARSE_OPTIONS, false);
+  const errorText = (e) => String(e && e.message ? e.message : e);
+
+  const pageIdOf = async (ref) => {
+    if (ref.pageId) return ref.pageId;
+    if (!findPageId || !ref.title) return null;
+    return await findPageId(ref.spaceKey, ref.title);
+  };
+
+  for (const el of $("[data-attachment-file]").toArray()) {
+    const $el = $(el);
+    const spaceKey = $el.attr("data-attachment-space");
+    const title = $el.attr("data-attachment-title");
+    const filename = $el.attr("data-attachment-file");
+    $el.removeAttr(
+      "data-attachment-space data-attachment-title data-attachment-file",
+    );
+    let ownerId = null;
+    let reason = findPageId ? "страница не найдена" : "нет клиента Confluence";
+    try {
+      ownerId = await pageIdOf({ spaceKey, title });
+    } catch (e) {
+      reason = errorText(e);
+    }
+    if (!ownerId) {
+      warn(
+        `[warn] Вложение ${filename} со страницы «${title}» (${spaceKey}) оставлено без ссылки: ${reason}`,
+      );
+      const $text = $("<span></span>");
+      if (el.tagName === "img") $text.text(`[${filename}]`);
+      else $text.append($el.contents());
+      $el.replaceWith($text);
+      continue;
+    }
+    $el.attr(
+      el.tagName === "img" ? "src" : "href",
+      `${base}/download/attachments/${ownerId}/${encodeURIComponent(filename)}`,
+    );
+  }
+
+  for (const el of $("div[data-include]").toArray()) {
+    const $el = $(el);
+    const macro = $el.attr("data-include");
+    const href = $el.attr("data-include-href");
+    const ref = confluencePageRefFromHref(href, base) || {};
+    const label = ref.title || (ref.pageId ? `pageId=${ref.pageId}` : href);
+    let included = null;
+    let reason = getPage ? "страница не найдена" : "нет клиента Confluence";
+    try {
+      const id = getPage ? await pageIdOf(ref) : null;
+      if (id && seen.has(String(id))) {
+        reason = "страница включает саму себя";
+      } else if (id) {
+        const page = await getPage(id);
+        let storage = page.html;
+        if (macro === "excerpt-include") {
+          const $page = cheerio.load(storage, STORAGE_PARSE_OPTIONS, false);
+          const $excerpt = $page("ac\\:structured-macro")
+            .filter((_, m) => $page(m).attr("ac:name") === "excerpt")
+            .first();
+          storage = $excerpt.length
+            ? $excerpt
+                .children()
+                .filter((_, c) => c.tagName === "ac:rich-text-body")
+                .html() || ""
+            : null;
+          if (storage == null) reason = "на странице нет макроса excerpt";
+        }
+        if (storage != null) {
+          const options = {
+            confluenceBase: base,
+            findPageId,
+            getPage,
+            pageId: String(id),
+            warn,
+          };
+          included = await resolveStorageReferences(
+            convertStorageToHtml(storage, {
+              ...options,
+              spaceKey: page.spaceKey,
+            }),
+            { ...options, seen: new Set([...seen, String(id)]) },
+          );
+        }
+      }
+    } catch (e) {
+      reason = errorText(e);
+    }
+    if (included == null) {
+      warn(
+        `[warn] Макрос Confluence «${macro}» (${label}) не раскрыт, на его месте оставлена пометка: ${reason}`,
+      );
+      $el.replaceWith(
+        $("<p></p>").text(`[макрос Confluence «${macro}»: ${label}]`),
+      );
+      continue;
+    }
+    $el.replaceWith(included);
+  }
+
+  return $.html();
+}
+
+// class tokens that BookStack understands and that our converters emit.
+function filterAllowedClasses(tagName, tokens) {
+  if (tagName === "code")
+    return tokens.filter((t) => /^language-[\w+#-]+$/.test(t));
+  if (tagName === "p" && tokens.includes("callout")) {
+    return tokens.filter((t) =>
+      /^(callout|info|warning|danger|success)$/.test(t),
+    );
+  }
+  return [];
+}
+
+function stripConfluenceNoise($, { keepIds, preserveIds }) {
+  // Remove scripts/styles/metadata that BookStack doesn't need.
+  $("script, style, meta, link, noscript").remove();
+
+  // Remove Confluence-specific attributes that only add noise.
+  // Keep href/src, alt, title, colspan/rowspan, and a few accessibility attrs.
+  const allowed = new Set([
+    "href",
+    "src",
+    "alt",
+    "title",
+    "colspan",
+    "rowspan",
+    "target",
+    "rel",
+    "width",
+    "height",
+    "aria-label",
+    "aria-hidden",
+    "name",
+  ]);
+
+  $("*").each((_, el) => {
+    const attribs = el.attribs || {};
+    for (const [name] of Object.entries(attribs)) {
+      if (name === "id" && attribs.id === "__root") continue; // internal wrapper
+      if (name === "id" && keepIds) continue;
+      if (name === "id" && preserveIds && preserveIds.has(attribs.id)) continue;
+      if (name === "id" && !keepIds) {
+        $(el).removeAttr("id");
+        continue;
+      }
+      if (name === "class") {
+        const tag = String(el.tagName || "").toLowerCase();
+        const kept = filterAllowedClasses(
+          tag,
+          String(attribs.class).split(/\s+/).filter(Boolean),
+        );
+        if (kept.length) $(el).attr("class", kept.join(" "));
+        else $(el).removeAttr("class");
+        continue;
+      }
+      if (name.startsWith("data-")) {
+        $(el).removeAttr(name);
+        continue;
+      }
+      if (!allowed.has(name)) {
+        // keep inline styles if present (часто они полезны для “похожести”)
+        if (name === "style") continue;
+        $(el).removeAttr(name);
+      }
+    }
+  });
+}
+
+/**
+ * Point title-based page links (/display/SPACE/Title, viewpage.action with
+ * spaceKey+title) at the page id: the href becomes
+ * <base>/pages/viewpage.action?pageId=<id>, hash kept, so everything that
+ * reads ids from links afterwards sees them. Titles are looked up with
+ * findPageId(spaceKey, title); links that do not resolve stay as they are,
+ * and failed lookups are reported with warn. Returns the number of resolved
+ * links.
+ */
+async function resolveConfluenceTitleLinks(
+  $,
+  { confluenceBase, findPageId, warn = console.warn },
+) {
+  const base = confluenceBase;
+  const limit = pLimit(6);
+  let resolved = 0;
+  const tasks = [];
+
+  $("a[href]").each((_, a) => {
+    const $a = $(a);
+    const href = String($a.attr("href") || "").trim();
+    const ref = confluencePageRefFromHref(href, base);
+    if (!ref || ref.pageId || !ref.title) return;
+
+    tasks.push(
+      limit(async () => {
+        let id = null;
+        try {
+          id = await findPageId(ref.spaceKey, ref.title);
+        } catch (e) {
+          warn(
+            `[warn] Не удалось найти страницу «${ref.title}» в пространстве ${ref.spaceKey}, ссылка оставлена как есть\n${String(
+              e && e.message ? e.message : e,
+            )}`,
+          );
+        }
+        if (!id) return;
+        let hash = "";
+        try {
+          hash = new URL(absolutizeMaybe(href, base)).hash;
+        } catch {
+          // ignore
+        }
+        $a.attr("href", `${base}/pages/viewpage.action?pageId=${id}${hash}`);
+        resolved += 1;
+      }),
+    );
+  });
+
+  await Promise.all(tasks);
+  return resolved;
+}
+
+async function humanizeConfluenceLinkText(
+  $,
+  {
+    currentPageId,
+    confluenceBase,
+    getTitleById,
+    rewriteSamePageHrefToHash = true,
+    repairJoinedText = true,
+  },
+) {
+  const base = confluenceBase;
+  const tasks = [];
+  const limit = pLimit(6);
+
+  $("a[href]").each((_, a) => {
+    const $a = $(a);
+    const href = String($a.attr("href") || "").trim();
+    if (!href) return;
+
+    const linkedId = extractConfluencePageIdFromHref(href, base);
+    if (!linkedId) return;
+
+    tasks.push(
+      limit(async () => {
+        // If this is a same-page link with a hash, keep it as local #... (for BookStack friendliness).
+        if (rewriteSamePageHrefToHash) {
+          try {
+            const abs = absolutizeMaybe(href, base);
+            const u = new URL(abs);
+            if (linkedId === String(currentPageId) && u.hash) {
+              const h = decodeURIComponent(u.hash.replace(/^#/, ""));
+              $a.attr("href", `#${h}`);
+            }
+          } catch {
+            // ignore
+          }
+        }
+
+        const text = $a.text();
+        const shouldUseTitle =
+          looksLikeUrlText(text) ||
+          (repairJoinedText && looksLikeJoinedMixedScriptText(text));
+        if (!shouldUseTitle) return;
+
+        const title = await getTitleById(linkedId).catch(() => "");
+        if (title) $a.text(title);
+      }),
+    );
+  });
+
+  await Promise.all(tasks);
+}
+
+/**
+ * Download an image (with Confluence auth for same-origin URLs), enforcing maxBytes.
+ * Returns { contentType, bytes } with contentType guessed from the path if missing.
+ */
+async function downloadImage(
+  src,
+  { confluenceBase, confluenceAuthHeader, maxBytes },
+) {
+  const u = new URL(src);
+  const headers = {};
+  if (u.origin === new URL(confluenceBase).origin) {
+    headers.Authorization = confluenceAuthHeader;
+  }
+
+  const { contentType, bytes } = await fetchBinary(src, { headers });
+  if (maxBytes && bytes.length > maxBytes) {
+    throw new Error(
+      `Слишком большой файл: ${bytes.length} bytes > ${maxBytes}`,
+    );
+  }
+
+  const ct =
+    contentType.split(";")[0].trim() ||
+    guessContentTypeByPathname(src) ||
+    "application/octet-stream";
+  return { contentType: ct, bytes };
+}
+
+function imageExtensionForContentType(contentType) {
+  const map = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/gif": "gif",
+    "image/webp": "webp",
+    "image/svg+xml": "svg",
+    "image/avif": "avif",
+  };
+  return map[String(contentType || "").toLowerCase()] || "png";
+}
+
+/**
+ * Upload every image of the HTML to the BookStack image gallery of a page and
+ * point img[src] at the gallery URL. `cache` ({ byHash, bySrc }) is persisted by
+ * the caller: byHash (sha256 of bytes -> { id, url }) avoids re-uploading the
+ * same picture, bySrc (source URL -> sha256) avoids re-downloading it.
+ * With `dryRun` only cached uploads are applied; new images keep their src.
+ * Failed images keep their src too and are reported with warn.
+ */
+async function uploadImagesToBookstackGallery(
+  html,
+  {
+    confluenceBase,
+    confluenceAuthHeader,
+    bookstackBase,
+    bsAuthHeader,
+    pageId,
+    cache,
+    concurrency,
+    maxBytes,
+    dryRun = false,
+    warn = console.warn,
+  },
+) {
+  const $ = cheerio.load(html, { decodeEntities: false });
+  const imgs = $("img").toArray();
+  const limit = pLimit(concurrency || 4);
+  const inFlight = new Map(); // src -> Promise<url>
+  const uploadsByHash = new Map(); // sha256 -> Promise<url>
+  let uploaded = 0;
+  let reused = 0;
+  let pending = 0;
+  let fail = 0;
+
+  const resolveSrc = async (src) => {
+    const knownHash = cache.bySrc[src];
+    if (knownHash && cache.byHash[knownHash]) {
+      reused += 1;
+      return cache.byHash[knownHash].url;
+    }
+
+    const { contentType, bytes } = await downloadImage(src, {
+      confluenceBase,
+      confluenceAuthHeader,
+      maxBytes,
+    });
+    const hash = sha256(bytes);
+    cache.bySrc[src] = hash;
+    if (cache.byHash[hash]) {
+      reused += 1;
+      return cache.byHash[hash].url;
+    }
+    if (uploadsByHash.has(hash)) {
+      reused += 1;
+      return uploadsByHash.get(hash);
+    }
+    if (dryRun) {
+      pending += 1;
+      return null;
+    }
+    const upload = uploadImage({ src, hash, contentType, bytes });
+    uploadsByHash.set(hash, upload);
+    return upload;
+  };
+
+  const uploadImage = async ({ src, hash, contentType, bytes }) => {
+    let filename = "";
+    try {
+      filename = decodeURIComponent(path.posix.basename(new URL(src).pathname));
+    } catch {
+      // ignore
+    }
+    const ext = imageExtensionForContentType(contentType);
+    const base = sanitizeFilename(filename.replace(/\.[^.]+$/, ""), {
+      maxLen: 80,
+    });
+    const form = new FormData();
+    form.append("type", "gallery");
+    form.append("uploaded_to", String(pageId));
+    form.append("name", `${base}.${ext}`);
+    form.append(
+      "image",
+      new Blob([bytes], { type: contentType }),
+      `${base}.${ext}`,
+    );
+    const created = await fetchJson(`${bookstackBase}/api/image-gallery`, {
+      method: "POST",
+      headers: { Authorization: bsAuthHeader, Accept: "application/json" },
+      body: form,
+    });
+    cache.byHash[hash] = { id: created.id, url: created.url };
+    uploaded += 1;
+    return created.url;
+  };
+
+  await Promise.all(
+    imgs.map((img) =>
+      limit(async () => {
+        const raw = String($(img).attr("src") || "").trim();
+        if (!raw || raw.startsWith("data:")) return;
+        const src = absolutizeMaybe(raw, confluenceBase);
+        if (src.startsWith(`${bookstackBase}/uploads/`)) return;
+
+        if (!inFlight.has(src)) inFlight.set(src, resolveSrc(src));
+        try {
+          const url = await inFlight.get(src);
+          if (url) $(img).attr("src", url);
+        } catch (e) {
+          fail += 1;
+          warn(
+            `[warn] Не удалось загрузить картинку в BookStack: ${src}\n${String(
+              e && e.message ? e.message : e,
+            )}`,
+          );
+        }
+      }),
+    ),
+  );
+
+  const body = $("body");
+  return {
+    html: body.length ? body.html() : $.root().html(),
+    stats: { uploaded, reused, pending, fail, unique: inFlight.size },
+  };
+}
+
+/**
+ * List non-image attachments of a Confluence page (images are handled by --images).
+ */
+async function listConfluenceAttachments({
+  confluenceBase,
+  confluenceAuthHeader,
+  pageId,
+}) {
+  const url = `${confluenceBase}/rest/api/content/${pageId}/child/attachment?limit=100`;
+  const items = await fetchConfluenceListAll(url, {
+    confluenceBase,
+    headers: { Authorization: confluenceAuthHeader },
+  });
+  return items
+    .map((a) => {
+      const mediaType = String(
+        (a.metadata && a.metadata.mediaType) ||
+          (a.extensions && a.extensions.mediaType) ||
+          "",
+      ).toLowerCase();
+      const download = a._links && a._links.download ? a._links.download : "";
+      return {
+        filename: String(a.title || "").trim(),
+        mediaType,
+        downloadUrl: download
+          ? absolutizeMaybe(
+              download.startsWith("/")
+                ? `${confluenceBase}${download}`
+                : download,
+              confluenceBase,
+            )
+          : "",
+      };
+    })
+    .filter(
+      (a) => a.filename && a.downloadUrl && !a.mediaType.startsWith("image/"),
+    );
+}
+
+async function downloadAttachment(
+  attachment,
+  { confluenceAuthHeader, maxBytes },
+) {
+  const { bytes } = await fetchBinary(attachment.downloadUrl, {
+    headers: { Authorization: confluenceAuthHeader },
+  });
+  if (maxBytes && bytes.length > maxBytes) {
+    throw new Error(
+      `Слишком большое вложение "${attachment.filename}": ${bytes.length} bytes > ${maxBytes}`,
+    );
+  }
+  return bytes;
+}
+
+/**
+ * Point links to /download/attachments/<pageId>/<file> at new targets
+ * (hrefByFilename: decoded file name -> href). Returns the number of rewritten links.
+ */
+function rewriteAttachmentLinks($, { confluenceBase, pageId, hrefByFilename }) {
+  let rewritten = 0;
+  $("a[href]").each((_, a) => {
+    const href = String($(a).attr("href") || "").trim();
+    if (!href || href.startsWith("#")) return;
+    try {
+      const u = new URL(absolutizeMaybe(href, confluenceBase));
+      const m = u.pathname.match(/\/download\/attachments\/(\d+)\/([^/]+)$/);
+      if (!m || m[1] !== String(pageId)) return;
+      const target = hrefByFilename.get(decodeURIComponent(m[2]));
+      if (!target) return;
+      $(a).attr("href", target);
+      rewritten += 1;
+    } catch {
+      // ignore
+    }
+  });
+  return rewritten;
+}
+
+/**
+ * Save attachments into `dir`; returns Map<filename, href relative to `fromDir`>.
+ * File names that clash after sanitizing get -2, -3, ... suffixes.
+ * Files that fail to download are reported with warn and left out.
+ */
+async function saveAttachmentsLocally(
+  attachments,
+  { dir, fromDir, confluenceAuthHeader, maxBytes, warn = console.warn },
+) {
+  const hrefByFilename = new Map();
+  if (!attachments.length) return hrefByFilename;
+  ensureDirSync(dir);
+  // Lower-cased: "A.pdf" and "a.pdf" are one file on Windows and macOS.
+  const usedNames = new Set();
+  for (const att of attachments) {
+    try {
+      const bytes = await downloadAttachment(att, {
+        confluenceAuthHeader,
+        maxBytes,
+      });
+      const ext = path.extname(att.filename);
+      const stem = sanitizeFilename(
+        att.filename.slice(0, att.filename.length - ext.length),
+      );
+      // Different names may sanitize alike ("a:b.pdf", "a b.pdf").
+      let safe = stem + ext;
+      for (let n = 2; usedNames.has(safe.toLowerCase()); n += 1) {
+        safe = `${stem}-${n}${ext}`;
+      }
+      usedNames.add(safe.toLowerCase());
+      const filePath = path.join(dir, safe);
+      fs.writeFileSync(filePath, bytes);
+      const rel = path.relative(fromDir, filePath).split(path.sep).join("/");
+      hrefByFilename.set(att.filename, encodeURI(rel));
+    } catch (e) {
+      warn(
+        `[warn] Не удалось сохранить вложение: ${att.downloadUrl}\n${String(
+          e && e.message ? e.message : e,
+        )}`,
+      );
+    }
+  }
+  return hrefByFilename;
+}
+
+/**
+ * Upload attachments to a BookStack page. Existing attachments with the same
+ * name are reused, or replaced when the Confluence file changed. `cache`
+ * ({ "<bsPageId>/<filename>": { id, src, hash } }) is persisted by the caller.
+ * With `dryRun` nothing is uploaded, only already synced files are linked.
+ * Returns Map<filename, BookStack attachment URL>; failed files are reported
+ * with warn and left out.
+ */
+async function uploadAttachmentsToBookstack(
+  attachments,
+  {
+    bookstackBase,
+    bsAuthHeader,
+    pageId,
+    cache,
+    confluenceAuthHeader,
+    maxBytes,
+    dryRun = false,
+    log = () => {},
+    warn = console.warn,
+  },
+) {
+  const hrefByFilename = new Map();
+  if (!attachments.length) return hrefByFilename;
+
+  const listing = await fetchJson(
+    `${bookstackBase}/api/attachments?count=500&filter[uploaded_to]=${pageId}`,
+    { headers: { Authorization: bsAuthHeader, Accept: "application/json" } },
+  );
+  const existingByName = new Map();
+  for (const a of Array.isArray(listing.data) ? listing.data : []) {
+    if (Number(a.uploaded_to) === Number(pageId)) {
+      existingByName.set(String(a.name || ""), a);
+    }
+  }
+
+  for (const att of attachments) {
+    const key = `${pageId}/${att.filename}`;
+    const existing = existingByName.get(att.filename);
+    const cached = cache[key];
+    try {
+      if (existing && cached && cached.id === existing.id) {
+        if (cached.src === att.downloadUrl) {
+          hrefByFilename.set(
+            att.filename,
+            `${bookstackBase}/attachments/${existing.id}`,
+          );
+          continue;
+        }
+      }
+
+      const bytes = await downloadAttachment(att, {
+        confluenceAuthHeader,
+        maxBytes,
+      });
+      const hash = sha256(bytes);
+      if (
+        existing &&
+        cached &&
+        cached.id === existing.id &&
+        cached.hash === hash
+      ) {
+        cache[key] = { ...cached, src: att.downloadUrl };
+        hrefByFilename.set(
+          att.filename,
+          `${bookstackBase}/attachments/${existing.id}`,
+        );
+        continue;
+      }
+
+      if (dryRun) {
+        log(
+          `[plan] Вложение "${att.filename}" будет ${existing ? "заменено" : "загружено"}`,
+        );
+        continue;
+      }
+      const form = new FormData();
+      form.append("name", att.filename);
+      form.append("uploaded_to", String(pageId));
+      form.append(
+        "file",
+        new Blob([bytes], {
+          type: att.mediaType || "application/octet-stream",
+        }),
+        att.filename,
+      );
+      let url = `${bookstackBase}/api/attachments`;
+      if (existing) {
+        // Multipart updates go through POST + _method=PUT.
+        form.append("_method", "PUT");
+        url = `${bookstackBase}/api/attachments/${existing.id}`;
+      }
+      log(
+        `[bs] POST ${url} (attachment "${att.filename}", ${bytes.length} bytes)`,
+      );
+      const saved = await fetchJson(url, {
+        method: "POST",
+        headers: { Authorization: bsAuthHeader, Accept: "application/json" },
+        body: form,
+      });
+      cache[key] = { id: saved.id, src: att.downloadUrl, hash };
+      hrefByFilename.set(
+        att.filename,
+        `${bookstackBase}/attachments/${saved.id}`,
+      );
+    } catch (e) {
+      warn(
+        `[warn] Не удалось перенести вложение: ${att.downloadUrl}\n${String(
+          e && e.message ? e.message : e,
+        )}`,
+      );
+    }
+  }
+  return hrefByFilename;
+}
+
+// BookStack callout type -> GitHub alert type.
+const MARKDOWN_ALERT_BY_CALLOUT = {
+  info: "NOTE",
+  success: "TIP",
+  warning: "WARNING",
+  danger: "CAUTION",
+};
+
+/**
+ * Render cleaned page HTML (after stripConfluenceNoise) to GitHub-flavoured Markdown.
+ * `resolveHref(href)` may return a replacement for link targets (e.g. sibling .md files);
+ * returning a falsy value keeps the original href.
+ */
+function htmlToMarkdown(html, { resolveHref } = {}) {
+  const $ = cheerio.load(html, { decodeEntities: false });
+  const blockTags = new Set([
+    "p",
+    "div",
+    "section",
+    "article",
+    "main",
+    "header",
+    "footer",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "ul",
+    "ol",
+    "li",
+    "pre",
+    "blockquote",
+    "table",
+    "hr",
+    "details",
+    "figure",
+  ]);
+
+  const escapeText = (text) =>
+    text
+      .replace(/([\\`*_[\]<])/g, "\\$1")
+      .replace(/^([#>+-])(?=\s)/, "\\$1")
+      // "1\. text", not "\1. text": the latter is still a list item.
+      .replace(/^(\d+)\.(?=\s)/, "$1\\.");
+  const isBlock = (node) =>
+    node.type === "tag" && blockTags.has(node.tagName.toLowerCase());
+  const anchorFor = (node) => {
+    const id = node.attribs && node.attribs.id;
+    return id && id !== "__root" ? `<a id="${escapeHtml(id)}"></a>` : "";
+  };
+
+  const inline = (nodes) => {
+    let out = "";
+    // Avoid doubled spaces where a text node meets "**bold** " padding.
+    const add = (piece) => {
+      out +=
+        out.endsWith(" ") && piece.startsWith(" ") ? piece.slice(1) : piece;
+    };
+    for (const node of nodes) {
+      if (node.type === "text") {
+        add(escapeText($(node).text().replace(/\s+/g, " ")));
+        continue;
+      }
+      if (node.type !== "tag") continue;
+      const tag = node.tagName.toLowerCase();
+      const $n = $(node);
+      const inner = () => inline($n.contents().toArray());
+      const wrap = (mark) => {
+        const t = inner();
+        if (!t.trim()) return t;
+        // Markers must hug the text: "** x **" is not bold.
+        const lead = t.match(/^\s*/)[0];
+        const trail = t.match(/\s*$/)[0];
+        return `${lead}${mark}${t.trim()}${mark}${trail}`;
+      };
+      switch (tag) {
+        case "br":
+          add("\\\n");
+          break;
+        case "strong":
+        case "b":
+          add(wrap("**"));
+          break;
+        case "em":
+        case "i":
+          add(wrap("*"));
+          break;
+        case "s":
+        case "del":
+        case "strike":
+          add(wrap("~~"));
+          break;
+        case "code": {
+          const t = $n.text();
+          const fence = t.includes("`") ? "``" : "`";
+          add(`${fence}${t}${fence}`);
+          break;
+        }
+        case "a": {
+          const text = inner().trim();
+          const raw = String($n.attr("href") || "").trim();
+          const href = raw ? (resolveHref && resolveHref(raw)) || raw : "";
+          const anchor = anchorFor(node);
+          if (!href) add(`${anchor}${text}`);
+          else
+            add(
+              `${anchor}[${text || escapeText(href)}](${href.replace(/[ ()]/g, (c) => encodeURIComponent(c))})`,
+            );
+          break;
+        }
+        case "img": {
+          const src = String($n.attr("src") || "").trim();
+          if (!src) break;
+          const alt = escapeText(String($n.attr("alt") || ""));
+          const title = String($n.attr("title") || "").replace(/"/g, "'");
+          add(
+            `![${alt}](${src.replace(/[ ()]/g, (c) => encodeURIComponent(c))}${title ? ` "${title}"` : ""})`,
+          );
+          break;
+        }
+        case "sup":
+        case "sub":
+          add(`<${tag}>${inner()}</${tag}>`);
+          break;
+        case "span": {
+          // Status badges carry their colour in a style; keep them visible.
+          const style = String($n.attr("style") || "");
+          add(/background-color/i.test(style) ? wrap("**") : inner());
+          break;
+        }
+        default:
+          add(
+            isBlock(node)
+              ? ` ${blocks($n.contents().toArray()).replace(/\n+/g, " ")} `
+              : inner(),
+          );
+      }
+    }
+    return out;
+  };
+
+  const indent = (text, prefix, firstPrefix = prefix) =>
+    text
+      .split("\n")
+      .map((line, i) => (i === 0 ? firstPrefix : line ? prefix : "") + line)
+      .join("\n");
+
+  const list = (node, ordered) => {
+    const items = $(node).children("li").toArray();
+    const start = Number($(node).attr("start") || 1);
+    return items
+      .map((li, i) => {
+        const marker = ordered ? `${start + i}. ` : "- ";
+        const children = $(li).contents().toArray();
+        // Tight item unless it holds real blocks (paragraphs, tables, code).
+        const loose = children.some(
+          (c) => isBlock(c) && !["ul", "ol"].includes(c.tagName.toLowerCase()),
+        );
+        const body = blocks(children, loose ? "\n\n" : "\n") || "";
+        return indent(body, " ".repeat(marker.length), marker);
+      })
+      .join("\n");
+  };
+
+  const table = (node) => {
+    const rows = $(node).find("tr").toArray();
+    if (!rows.length) return "";
+    const cellText = (cell) =>
+      blocks($(cell).contents().toArray())
+        .replace(/\|/g, "\\|")
+        .replace(/\\?\n+/g, "<br>")
+        .trim();
+    const matrix = rows.map((tr) =>
+      $(tr).children("th,td").toArray().map(cellText),
+    );
+    const width = Math.max(...matrix.map((r) => r.length), 1);
+    const line = (cells) =>
+      `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(" | ")} |`;
+    const out = [line(matrix[0]), line(Array(width).fill("---"))];
+    for (const r of matrix.slice(1)) out.push(line(r));
+    return out.join("\n");
+  };
+
+  const block = (node) => {
+    const tag = node.tagName.toLowerCase();
+    const $n = $(node);
+    switch (tag) {
+      case "h1":
+      case "h2":
+      case "h3":
+      case "h4":
+      case "h5":
+      case "h6": {
+        const text = inline($n.contents().toArray()).trim();
+        return text
+          ? `${"#".repeat(Number(tag[1]))} ${anchorFor(node)}${text}`
+          : "";
+      }
+      case "p": {
+        const text = inline($n.contents().toArray()).trim();
+        if (!text) return "";
+        const cls = String($n.attr("class") || "").split(/\s+/);
+        if (cls.includes("callout")) {
+          const type = cls.find((c) => MARKDOWN_ALERT_BY_CALLOUT[c]);
+          const alert = MARKDOWN_ALERT_BY_CALLOUT[type] || "NOTE";
+          return `> [!${alert}]\n${indent(text, "> ")}`;
+        }
+        return `${anchorFor(node)}${text}`;
+      }
+      case "ul":
+        return list(node, false);
+      case "ol":
+        return list(node, true);
+      case "pre": {
+        const $code = $n.children("code").first();
+        const text = ($code.length ? $code : $n).text().replace(/\n$/, "");
+        const lang =
+          (String($code.attr("class") || "").match(/language-([\w+#-]+)/) ||
+            [])[1] || "";
+        const runs = text.match(/`+/g) || [];
+        const fence = "`".repeat(Math.max(3, ...runs.map((r) => r.length + 1)));
+        return `${fence}${lang}\n${text}\n${fence}`;
+      }
+      case "blockquote":
+        return indent(blocks($n.contents().toArray()), "> ");
+      case "table":
+        return table(node);
+      case "hr":
+        return "---";
+      case "details": {
+        const summary = $n.children("summary").first();
+        const rest = $n
+          .contents()
+          .toArray()
+          .filter((c) => c !== summary[0]);
+        return `<details>\n<summary>${escapeHtml(summary.text().trim())}</summary>\n\n${blocks(rest)}\n\n</details>`;
+      }
+      default:
+        return `${anchorFor(node)}${blocks($n.contents().toArray())}`;
+    }
+  };
+
+  // Consecutive inline nodes form one paragraph; blocks are separated by blank lines.
+  const blocks = (nodes, separator = "\n\n") => {
+    const out = [];
+    let pending = [];
+    const flush = () => {
+      const text = inline(pending).trim();
+      if (text) out.push(text);
+      pending = [];
+    };
+    for (const node of nodes) {
+      if (isBlock(node)) {
+        flush();
+        const b = block(node);
+        if (b && b.trim()) out.push(b);
+      } else if (!(
+        node.type === "tag" && node.tagName.toLowerCase() === "summary"
+      )) {
+        pending.push(node);
+      }
+    }
+    flush();
+    return out.join(separator);
+  };
+
+  const root = $("body").length ? $("body") : $.root();
+  return `${blocks(root.contents().toArray()).trim()}\n`;
+}
+
+const STATIC_SITE_CSS = `body {
+  margin: 0;
+  font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+  line-height: 1.55;
+  color: #172b4d;
+  background: #fff;
+}
+.site-nav {
+  padding: 10px 24px;
+  border-bottom: 1px solid #dfe1e6;
+  background: #f4f5f7;
+}
+main {
+  max-width: 960px;
+  margin: 0 auto;
+  padding: 24px;
+}
+img {
+  max-width: 100%;
+  height: auto;
+}
+table {
+  border-collapse: collapse;
+  margin: 12px 0;
+}
+th,
+td {
+  border: 1px solid #c1c7d0;
+  padding: 6px 10px;
+  vertical-align: top;
+}
+th {
+  background: #f4f5f7;
+}
+pre {
+  background: #f4f5f7;
+  padding: 12px;
+  overflow: auto;
+}
+.callout {
+  padding: 10px 14px;
+  border-left: 4px solid #0052cc;
+  background: #deebff;
+}
+.callout.warning {
+  border-color: #ff8b00;
+  background: #fffae6;
+}
+.callout.danger {
+  border-color: #de350b;
+  background: #ffebe6;
+}
+.callout.success {
+  border-color: #00875a;
+  background: #e3fcef;
+}
+details {
+  margin: 8px 0;
+}
+summary {
+  cursor: pointer;
+  font-weight: 600;
+}
+a.missing-page {
+  color: #97a0af;
+  text-decoration: line-through dotted;
+}
+.site-index ul {
+  list-style: none;
+  padding-left: 18px;
+}
+`;
+
+function staticSiteDocument({ title, body, nav }) {
+  return `<!doctype html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+${nav ? `<nav class="site-nav">${nav}</nav>\n` : ""}<main>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a browsable offline site: one full HTML document per exported page
+ * (pages: [{ id, title, html, outPath, parentId, position }]), a shared
+ * style.css and index.html with the page tree. Links between exported pages
+ * point to the local files; links to pages that were not exported are marked
+ * with class "missing-page".
+ */
+function writeStaticSite({ outDir, pages, confluenceBase }) {
+  const fileById = new Map(pages.map((p) => [p.id, path.basename(p.outPath)]));
+  let missingLinks = 0;
+
+  for (const page of pages) {
+    const $ = cheerio.load(page.html, { decodeEntities: false });
+    $("a[href]").each((_, a) => {
+      const href = String($(a).attr("href") || "").trim();
+      const linkedId = extractConfluencePageIdFromHref(href, confluenceBase);
+      if (!linkedId) return;
+      let hash = "";
+      try {
+        hash = new URL(absolutizeMaybe(href, confluenceBase)).hash;
+      } catch {
+        // ignore
+      }
+      if (linkedId === page.id) {
+        if (hash) $(a).attr("href", hash);
+        return;
+      }
+      const file = fileById.get(linkedId);
+      if (file) {
+        $(a).attr("href", `${encodeURI(file)}${hash}`);
+        return;
+      }
+      $(a).addClass("missing-page");
+      $(a).attr("title", `Страница не выгружена (Confluence id ${linkedId})`);
+      missingLinks += 1;
+    });
+    const body = $("body").length ? $("body").html() : $.root().html();
+    fs.writeFileSync(
+      page.outPath,
+      staticSiteDocument({
+        title: page.title,
+        body,
+        nav: `<a href="index.html">&larr; Содержание</a>`,
+      }),
+      "utf8",
+    );
+  }
+
+  // Index: page tree by Confluence parent/child; orphans (e.g. link-followed) at top level.
+  const byId = new Map(pages.map((p) => [p.id, p]));
+  const childrenOf = new Map();
+  const tops = [];
+  for (const p of pages) {
+    if (p.parentId && byId.has(p.parentId)) {
+      if (!childrenOf.has(p.parentId)) childrenOf.set(p.parentId, []);
+      childrenOf.get(p.parentId).push(p);
+    } else {
+      tops.push(p);
+    }
+  }
+  const order = (a, b) =>
+    Number(a.position != null ? a.position : Infinity) -
+      Number(b.position != null ? b.position : Infinity) ||
+    a.title.localeCompare(b.title);
+  const renderList = (list) =>
+    `<ul>${[...list]
+      .sort(order)
+      .map(
+        (p) =>
+          `<li><a href="${escapeHtml(encodeURI(fileById.get(p.id)))}">${escapeHtml(
+            p.title,
+          )}</a>${childrenOf.has(p.id) ? renderList(childrenOf.get(p.id)) : ""}</li>`,
+      )
+      .join("")}</ul>`;
+  fs.writeFileSync(
+    path.join(outDir, "index.html"),
+    staticSiteDocument({
+      title: "Содержание",
+      body: `<div class="site-index">${renderList(tops)}</div>`,
+    }),
+    "utf8",
+  );
+  fs.writeFileSync(path.join(outDir, "style.css"), STATIC_SITE_CSS, "utf8");
+  return { pages: pages.length, missingLinks };
+}
+
+/**
+ * Page content as comparable text lines for --plan: Markdown (HTML is
+ * converted first) with whitespace collapsed and blank lines dropped, so that
+ * markup-only differences (BookStack ids, attribute order) are ignored.
+ */
+function normalizeForDiff({ html, markdown }) {
+  let text = markdown;
+  if (text == null) {
+    // BookStack gives every block a bkmrk-* id and the new HTML has its own
+    // anchors: ids and empty anchors are not content on either side.
+    const $ = cheerio.load(String(html || ""), { decodeEntities: false });
+    $("[id]").removeAttr("id");
+    $("a:not([href])").each((_, a) => {
+      if (!$(a).text().trim() && !$(a).find("img").length) $(a).remove();
+    });
+    text = htmlToMarkdown($.html());
+  }
+  return String(text)
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Line diff (LCS) of two arrays: [{ op: " " | "-" | "+", line }].
+ * Common prefix/suffix are trimmed first to keep the table small.
+ */
+function diffLines(before, after) {
+  let start = 0;
+  while (
+    start < before.length &&
+    start < after.length &&
+    before[start] === after[start]
+  ) {
+    start += 1;
+  }
+  let endA = before.length;
+  let endB = after.length;
+  while (endA > start && endB > start && before[endA - 1] === after[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  const a = before.slice(start, endA);
+  const b = after.slice(start, endB);
+  const middle = [];
+  if (a.length * b.length > 4_000_000) {
+    // Too large for the LCS table: show it as a full replacement.
+    for (const line of a) middle.push({ op: "-", line });
+    for (const line of b) middle.push({ op: "+", line });
+  } else {
+    const lcs = Array.from(
+      { length: a.length + 1 },
+      () => new Uint32Array(b.length + 1),
+    );
+    for (let i = a.length - 1; i >= 0; i -= 1) {
+      for (let j = b.length - 1; j >= 0; j -= 1) {
+        lcs[i][j] =
+          a[i] === b[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        middle.push({ op: " ", line: a[i] });
+        i += 1;
+        j += 1;
+      } else if (
+        i < a.length &&
+        (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])
+      ) {
+        middle.push({ op: "-", line: a[i] });
+        i += 1;
+      } else {
+        middle.push({ op: "+", line: b[j] });
+        j += 1;
+      }
+    }
+  }
+  return [
+    ...before.slice(0, start).map((line) => ({ op: " ", line })),
+    ...middle,
+    ...before.slice(endA).map((line) => ({ op: " ", line })),
+  ];
+}
+
+/**
+ * Changed lines of a diff with `context` unchanged lines around them,
+ * formatted as "- old" / "+ new" / "  same"; gaps are shown as "…".
+ */
+function formatDiff(ops, { context = 2 } = {}) {
+  const keep = new Set();
+  ops.forEach((o, i) => {
+    if (o.op === " ") return;
+    for (let k = i - context; k <= i + context; k += 1) keep.add(k);
+  });
+  const out = [];
+  let last = -1;
+  ops.forEach((o, i) => {
+    if (!keep.has(i)) return;
+    if (last !== -1 && i > last + 1) out.push("…");
+    out.push(`${o.op} ${o.line}`);
+    last = i;
+  });
+  return out;
+}
+
+/**
+ * Save the --plan result: JSON when the path ends with .json, otherwise a
+ * standalone HTML page with one section (and diff) per page.
+ * `items`: [{ title, status, reason, link, diff: formatDiff() lines }].
+ */
+function writePlanReport(reportPath, items) {
+  ensureDirSync(path.dirname(reportPath));
+  if (/\.json$/i.test(reportPath)) {
+    fs.writeFileSync(reportPath, JSON.stringify(items, null, 2), "utf8");
+    return;
+  }
+  const sections = items.map((item) => {
+    const diff = item.diff
+      ? item.diff
+          .map((line) => {
+            const cls =
+              line[0] === "+" ? "add" : line[0] === "-" ? "del" : "same";
+            return `<div class="${cls}">${escapeHtml(line)}</div>`;
+          })
+          .join("")
+      : "";
+    const link = item.link
+      ? ` — <a href="${escapeHtml(item.link)}">${escapeHtml(item.link)}</a>`
+      : "";
+    return [
+      `<section class="${item.status}">`,
+      `<h2>[${item.status}] ${escapeHtml(item.title)}${link}</h2>`,
+      item.reason ? `<p>${escapeHtml(item.reason)}</p>` : "",
+      diff ? `<pre>${diff}</pre>` : "",
+      `</section>`,
+    ].join("\n");
+  });
+  fs.writeFileSync(
+    reportPath,
+    `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>BookStack sync plan</title>
+<style>
+body { font-family: sans-serif; margin: 24px; }
+h2 { font-size: 16px; }
+pre { background: #f4f5f7; padding: 8px; overflow-x: auto; }
+.add { background: #e3fcef; }
+.del { background: #ffebe6; }
+.same { color: #6b778c; }
+section.changed h2 { color: #974f0c; }
+section.create h2 { color: #006644; }
+section.skip h2 { color: #6b778c; }
+section.conflict h2 { color: #bf2600; }
+</style>
+</head>
+<body>
+<h1>BookStack sync plan</h1>
+${sections.join("\n")}
+</body>
+</html>
+`,
+    "utf8",
+  );
+}
+
+/**
+ * Write downloaded image bytes into `assetsDir` as <sha256>.<ext> (the same
+ * picture is stored once) and return its path relative to `fromDir`.
+ */
+function saveImageAsset({ bytes, contentType }, { assetsDir, fromDir }) {
+  ensureDirSync(assetsDir);
+  const filePath = path.join(
+    assetsDir,
+    `${sha256(bytes)}.${imageExtensionForContentType(contentType)}`,
+  );
+  if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, bytes);
+  return path.relative(fromDir, filePath).split(path.sep).join("/");
+}
+
+/**
+ * Download every image of the HTML and replace img[src] with the result of
+ * `toSrc({ src, contentType, bytes })` (a base64 data URI by default).
+ * `bySrc` may be shared between pages to download each URL only once.
+ * Images that fail to download keep their src and are reported with warn.
+ */
+async function inlineImagesInHtml(
+  html,
+  {
+    confluenceBase,
+    confluenceAuthHeader,
+    concurrency,
+    maxBytes,
+    toSrc = ({ contentType, bytes }) =>
+      `data:${contentType};base64,${bytes.toString("base64")}`,
+    bySrc = new Map(),
+    warn = console.warn,
+  },
+) {
+  const $ = cheerio.load(html, { decodeEntities: false });
+
+  // Make src/href absolute early so we can fetch.
+  $("img").each((_, img) => {
+    const src = $(img).attr("src");
+    if (src) $(img).attr("src", absolutizeMaybe(src, confluenceBase));
+  });
+  $("a").each((_, a) => {
+    const href = $(a).attr("href");
+    if (href) $(a).attr("href", absolutizeMaybe(href, confluenceBase));
+  });
+
+  const imgs = $("img").toArray();
+  const limit = pLimit(concurrency);
+  let ok = 0;
+  let fail = 0;
+  let skipped = 0;
+
+  await Promise.all(
+    imgs.map((img) =>
+      limit(async () => {
+        const src = String($(img).attr("src") || "").trim();
+        if (!src) return;
+        if (src.startsWith("data:")) {
+          skipped += 1;
+          return;
+        }
+
+        if (bySrc.has(src)) {
+          $(img).attr("src", bySrc.get(src));
+          ok += 1;
+          return;
+        }
+
+        try {
+          const { contentType: ct, bytes } = await downloadImage(src, {
+            confluenceBase,
+            confluenceAuthHeader,
+            maxBytes,
+          });
+          const newSrc = toSrc({ src, contentType: ct, bytes });
+          bySrc.set(src, newSrc);
+          $(img).attr("src", newSrc);
+          ok += 1;
+        } catch (e) {
+          fail += 1;
+          // Keep original src on error.
+          warn(
+            `[warn] Не удалось встроить картинку: ${src}\n${String(
+              e && e.message ? e.message : e,
+            )}`,
+          );
+        }
+      }),
+    ),
+  );
+
+  return {
+    html: $.root().html(),
+    stats: { ok, fail, skipped, unique: bySrc.size },
+  };
+}
+
+/**
+ * Confluence REST client. Page bodies (export_view, or storage with
+ * source: "storage") and titles are cached per client, so each page is
+ * fetched at most once; a failed request is not cached and is retried on the
+ * next call.
+ */
+function createConfluenceClient({
+  base,
+  user,
+  token,
+  flavor,
+  source = "export_view",
+}) {
+  const confluenceBase = String(
+    requireNonEmpty(base, "Нужна база Confluence (base)"),
+  ).replace(/\/+$/, "");
+  const resolvedFlavor = resolveConfluenceFlavor(flavor, confluenceBase);
+  const bodySource = resolveConfluenceSource(source);
+  if (resolvedFlavor === "cloud") {
+    requireNonEmpty(
+      user,
+      "Для Confluence Cloud нужен user (email); personal access token без user — только для flavor: server",
+    );
+  }
+  requireNonEmpty(token, "Нужен token Confluence");
+  const authHeader = confluenceAuthHeader({
+    flavor: resolvedFlavor,
+    user,
+    token,
+  });
+  const headers = { Authorization: authHeader };
+  const titleCache = new Map(); // id -> Promise<string>
+  const pageCache = new Map(); // id -> Promise<{id,title,html,spaceKey,version}>
+  const idByTitle = new Map(); // "SPACE\ntitle" -> Promise<string|null>
+
+  // Failed requests are not cached: the next call asks again.
+  const cached = (cache, key, load) => {
+    if (!cache.has(key)) {
+      cache.set(
+        key,
+        load().catch((e) => {
+          cache.delete(key);
+          throw e;
+        }),
+      );
+    }
+    return cache.get(key);
+  };
+
+  // Empty string when the page is missing or not readable.
+  const getTitle = (id) => {
+    const key = String(id);
+    if (!titleCache.has(key)) {
+      titleCache.set(
+        key,
+        fetchJson(`${confluenceBase}/rest/api/content/${key}`, { headers })
+          .then((j) => String(j.title || "").trim())
+          .catch(() => ""),
+      );
+    }
+    return titleCache.get(key);
+  };
+
+  const getPage = (id) => {
+    const key = String(id);
+    const url = `${confluenceBase}/rest/api/content/${key}?expand=body.${bodySource},space,version`;
+    return cached(pageCache, key, () =>
+      fetchJson(url, { headers }).then((j) => ({
+        id: key,
+        title: String(j.title || "").trim(),
+        html: (j.body && j.body[bodySource] && j.body[bodySource].value) || "",
+        spaceKey: j.space && j.space.key ? String(j.space.key) : "",
+        version:
+          j.version && j.version.number != null
+            ? Number(j.version.number)
+            : null,
+      })),
+    );
+  };
+
+  const listPages = async (url) => {
+    const items = await fetchConfluenceListAll(url, {
+      confluenceBase,
+      headers,
+    });
+    const pages = items.map((c) => ({
+      id: String(c.id),
+      title: String(c.title || "").trim(),
+    }));
+    // Listings already carry titles; link text lookups need not refetch them.
+    for (const p of pages) {
+      if (p.title && !titleCache.has(p.id)) {
+        titleCache.set(p.id, Promise.resolve(p.title));
+      }
+    }
+    return pages;
+  };
+
+  // Page id by space and exact title (/display/ links); null if not found.
+  const findPageId = (spaceKey, title) => {
+    const key = `${spaceKey}\n${title}`;
+    const url = `${confluenceBase}/rest/api/content?type=page&spaceKey=${encodeURIComponent(
+      spaceKey,
+    )}&title=${encodeURIComponent(title)}&limit=1`;
+    return cached(idByTitle, key, () =>
+      fetchJson(url, { headers }).then((j) => {
+        const hit = Array.isArray(j.results) ? j.results[0] : null;
+        if (!hit) return null;
+        const id = String(hit.id);
+        if (!titleCache.has(id)) titleCache.set(id, Promise.resolve(title));
+        return id;
+      }),
+    );
+  };
+
+  return {
+    base: confluenceBase,
+    flavor: resolvedFlavor,
+    source: bodySource,
+    authHeader,
+    getTitle,
+    getPage,
+    findPageId,
+    // Child pages come back in Confluence sibling order (position).
+    getChildPages: (id) =>
+      listPages(
+        `${confluenceBase}/rest/api/content/${id}/child/page?limit=100`,
+      ),
+    getSpaceRootPages: (key) =>
+      listPages(
+        `${confluenceBase}/rest/api/space/${encodeURIComponent(
+          key,
+        )}/content/page?depth=root&limit=100`,
+      ),
+    listAttachments: (pageId) =>
+      listConfluenceAttachments({
+        confluenceBase,
+        confluenceAuthHeader: authHeader,
+        pageId,
+      }),
+  };
+}
+
+/**
+ * BookStack API client: the page/book/chapter helpers above bound to one
+ * instance and API token.
+ */
+function createBookstackClient({ base, tokenId, tokenSecret }) {
+  const bookstackBase = String(
+    requireNonEmpty(base, "Нужна база BookStack (base)"),
+  ).replace(/\/+$/, "");
+  const bsAuthHeader = bookstackAuthHeader(tokenId, tokenSecret);
+  const conn = { bookstackBase, bsAuthHeader };
+
+  return {
+    base: bookstackBase,
+    authHeader: bsAuthHeader,
+    getPage: (pageId) =>
+      fetchJson(`${bookstackBase}/api/pages/${pageId}`, {
+        headers: { Authorization: bsAuthHeader, Accept: "application/json" },
+      }),
+    // payload: { name, html | markdown, book_id | chapter_id, priority? }
+    createPage: (payload) =>
+      fetchJson(`${bookstackBase}/api/pages`, {
+        method: "POST",
+        headers: {
+          Authorization: bsAuthHeader,
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify(payload),
+      }),
+    updatePage: (args) => updateBookstackPage({ ...conn, ...args }),
+    upsertPage: (args) => upsertBookstackPage({ ...conn, ...args }),
+    findOrCreateBook: (name) =>
+      findOrCreateBook({ ...conn, desiredName: name }),
+    findOrCreateChapter: ({ bookId, name, priority }) =>
+      findOrCreateChapter({ ...conn, bookId, desiredName: name, priority }),
+    createPageIndex: ({ cache, log } = {}) =>
+      createBookstackPageIndex({ ...conn, cache, log }),
+    createBackup: ({ root, log } = {}) =>
+      createBookstackBackup({ ...conn, root, log }),
+  };
+}
+
+/**
+ * Clean a Confluence export_view fragment for BookStack: images, link text
+ * and anchors, macros (code, expand, Jira, status, panels) and Confluence
+ * markup noise. With source: "storage" the input is the storage format and
+ * goes through convertStorageToHtml and resolveStorageReferences first
+ * (spaceKey is the page's space, for links to pages by title). `confluence`
+ * (a createConfluenceClient) is needed to download images, to replace page
+ * URLs in link text with titles and to expand includes; without it links keep
+ * their text and images stay links. Warnings go to warn.
+ *
+ * Returns { html, linkedIds } where linkedIds are the Confluence pages the
+ * result links to.
+ */
+async function convertPage(
+  html,
+  {
+    confluence = null,
+    confluenceBase = confluence ? confluence.base : "",
+    pageId = null,
+    pageUrl = null,
+    source = confluence ? confluence.source : "export_view",
+    spaceKey = "",
+    images = confluence ? "inline" : "link",
+    assetsDir,
+    assetsFromDir = assetsDir ? path.dirname(assetsDir) : undefined,
+    imageCache,
+    concurrency = 4,
+    maxBytes = 15_000_000,
+    jiraBase,
+    keepIds = false,
+    fragment = true,
+    log = () => {},
+    warn = console.warn,
+  } = {},
+) {
+  const base = String(confluenceBase || "").replace(/\/+$/, "");
+  let input = String(html || "");
+  if (resolveConfluenceSource(source) === "storage") {
+    input = await resolveStorageReferences(
+      convertStorageToHtml(input, {
+        confluenceBase: base,
+        pageId,
+        spaceKey,
+        warn,
+      }),
+      {
+        confluenceBase: base,
+        pageId,
+        warn,
+        findPageId: confluence ? confluence.findPageId : null,
+        // Included pages are converted from storage too.
+        getPage:
+          confluence && confluence.source === "storage"
+            ? confluence.getPage
+            : null,
+      },
+    );
+  }
+  let out = `<div id="__root">${input}</div>`;
+
+  if (confluence && (images === "inline" || images === "assets")) {
+    const byAsset =
+      images === "assets"
+        ? {
+            toSrc: (image) =>
+              saveImageAsset(image, {
+                assetsDir: requireNonEmpty(
+                  assetsDir,
+                  "Для images=assets нужен assetsDir",
+                ),
+                fromDir: assetsFromDir,
+              }),
+          }
+        : {};
+    if (images === "inline") {
+      log(
+        `[info] Inline images for ${pageId}... (concurrency=${concurrency}, maxBytes=${maxBytes})`,
+      );
+    }
+    const inlined = await inlineImagesInHtml(out, {
+      confluenceBase: base,
+      confluenceAuthHeader: confluence.authHeader,
+      concurrency,
+      maxBytes,
+      bySrc: imageCache,
+      warn,
+      ...byAsset,
+    });
+    out = inlined.html;
+    if (images === "assets") {
+      log(
+        `[info] Saved images for ${pageId} to assets: ok=${inlined.stats.ok}, fail=${inlined.stats.fail}`,
+      );
+    }
+  }
+
+  const $ = cheerio.load(out, { decodeEntities: false });
+
+  // Give title links page ids, then improve link text (URL -> title).
+  if (confluence) {
+    await resolveConfluenceTitleLinks($, {
+      confluenceBase: base,
+      findPageId: confluence.findPageId,
+      warn,
+    });
+    await humanizeConfluenceLinkText($, {
+      currentPageId: pageId,
+      confluenceBase: base,
+      getTitleById: confluence.getTitle,
+      rewriteSamePageHrefToHash: true,
+      // Storage links keep their own text; there is nothing to repair.
+      repairJoinedText: source !== "storage",
+    });
+  }
+
+  // Normalize anchors within page (self-links, pretty anchors, etc).
+  const normalized = normalizeAnchorsAndLinks($, {
+    pageUrl,
+    pageId,
+    confluenceBase: base,
+    rewriteSelfLinks: true,
+  });
+
+  // Collect linked page ids for recursion (after link normalization).
+  const linkedIds = new Set();
+  $("a[href]").each((_, a) => {
+    const href = String($(a).attr("href") || "").trim();
+    const pid = extractConfluencePageIdFromHref(href, base);
+    if (pid && pid !== String(pageId)) linkedIds.add(pid);
+  });
+
+  // Code first: panels keep <pre> and <details> blocks as they are.
+  convertConfluenceCodeBlocks($);
+  convertConfluenceExpandMacros($);
+  convertConfluenceJiraMacros($, { jiraBase });
+  convertConfluenceStatusLozenges($);
+  convertConfluencePanels($);
+
+  stripConfluenceNoise($, {
+    keepIds: Boolean(keepIds),
+    preserveIds: normalized.preserveIds,
+  });
+
+  if (!fragment) return { html: $.root().html(), linkedIds };
+  const body = $("body");
+  if (body.length) return { html: body.html() || "", linkedIds };
+  const root = $("#__root");
+  return { html: root.length ? root.html() : $.root().html(), linkedIds };
+}
+
+module.exports = {
+  createConfluenceClient,
+  createBookstackClient,
+  convertPage,
+
+  // Pipeline steps, for callers that assemble their own.
+  parseConfluenceInput,
+  convertStorageToHtml,
+  resolveStorageReferences,
+  confluencePageRefFromHref,
+  extractConfluencePageIdFromHref,
+  inlineImagesInHtml,
+  resolveConfluenceTitleLinks,
+  humanizeConfluenceLinkText,
+  normalizeAnchorsAndLinks,
+  convertConfluenceCodeBlocks,
+  convertConfluenceExpandMacros,
+  convertConfluenceJiraMacros,
+  convertConfluenceStatusLozenges,
+  convertConfluencePanels,
+  stripConfluenceNoise,
+  rewriteConfluenceLinksToBookstack,
+  htmlToMarkdown,
+
+  // Retry limits; each run starts with configureRequests().
+  configureRequests,
+  resetRequestBudget,
+
+  // Used by cli.cjs.
+  requireNonEmpty,
+  resolveConfluenceFlavor,
+  resolveConfluenceSource,
+  deriveConfluenceBaseFromUrl,
+  extractConfluenceSpaceKeyFromUrl,
+  sanitizeFilename,
+  ensureDirSync,
+  sha256,
+  loadSyncState,
+  saveSyncState,
+  fetchJson,
+  bookstackAuthHeader,
+  createBookstackConfigIndex,
+  loadBookstackConfig,
+  appendPagesToBookstackConfig,
+  parseBookstackPageUrl,
+  validateBookstackConfig,
+  editedInBookstackSince,
+  planBookstackTree,
+  absolutizeMaybe,
+  uploadImagesToBookstackGallery,
+  rewriteAttachmentLinks,
+  saveAttachmentsLocally,
+  uploadAttachmentsToBookstack,
+  writeStaticSite,
+  normalizeForDiff,
+  diffLines,
+  formatDiff,
+  writePlanReport,
+};
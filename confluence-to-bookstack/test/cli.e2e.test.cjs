@@ -0,0 +1,825 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { test } = require("node:test");
+
+const { runCli, startStandIns } = require("./helpers/stand-ins.cjs");
+
+// Root page with five children: the child listing takes three requests at
+// two items per page.
+function confluenceTree(base) {
+  const pages = {
+    1: {
+      title: "Root",
+      body: `<p>See <a href="${base}/wiki/spaces/DOC/pages/11/Child+1">${base}/wiki/spaces/DOC/pages/11/Child+1</a></p>`,
+    },
+  };
+  for (let i = 1; i <= 5; i += 1) {
+    pages[10 + i] = {
+      title: `Child ${i}`,
+      parent: "1",
+      body: `<p>Child ${i} <a href="/wiki/spaces/DOC/pages/1/Root#intro">up</a></p>`,
+    };
+  }
+  return pages;
+}
+
+async function setup(t, options = {}) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "c2b-test-"));
+  const stand = await startStandIns(options);
+  t.after(async () => {
+    await stand.close();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+  Object.assign(stand.confluencePages, confluenceTree(stand.base));
+  return { cwd, stand };
+}
+
+test("export walks a paginated child listing", async (t) => {
+  const { cwd, stand } = await setup(t);
+
+  const run = await runCli(
+    [
+      "export",
+      "--page",
+      `${stand.confluenceBase}/spaces/DOC/pages/1/Root`,
+      "--include-children",
+      "--out-dir",
+      "out",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 0, run.stderr);
+  const files = fs.readdirSync(path.join(cwd, "out")).sort();
+  assert.equal(files.length, 6);
+  assert.ok(files.includes("Child 5__15.fragment.html"));
+  const listing = stand.requestsTo(/\/content\/1\/child\/page$/);
+  assert.deepEqual(
+    listing.map((r) => r.url.searchParams.get("start") || "0"),
+    ["0", "2", "4"],
+  );
+  // Page URLs used as link text are replaced with the page title.
+  const root = fs.readFileSync(
+    path.join(cwd, "out", "Root__1.fragment.html"),
+    "utf8",
+  );
+  assert.match(root, />Child 1<\/a>/);
+});
+
+test("a page linked before the tree walk reaches it still gets its children", async (t) => {
+  const { cwd, stand } = await setup(t);
+  // Root links to its grandchild 21, which is dequeued (as a link) before
+  // the walk gets to it through Child 2.
+  stand.confluencePages[1].body =
+    '<p><a href="/wiki/spaces/DOC/pages/21/Grandchild">deep</a></p>';
+  stand.confluencePages[21] = {
+    title: "Grandchild",
+    parent: "12",
+    body: "<p>G</p>",
+  };
+  stand.confluencePages[211] = {
+    title: "Great-grandchild",
+    parent: "21",
+    body: "<p>GG</p>",
+  };
+
+  const run = await runCli(
+    [
+      "export",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--include-children",
+      "--recursive",
+      "--out-dir",
+      "out",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 0, run.stderr);
+  const files = fs.readdirSync(path.join(cwd, "out"));
+  assert.equal(files.length, 8);
+  assert.ok(files.includes("Great-grandchild__211.fragment.html"));
+  assert.equal(stand.requestsTo(/\/content\/21$/).length, 1);
+});
+
+test("sync updates pages found through a paginated BookStack index", async (t) => {
+  // 500 unrelated pages first, so the configured ones are on the second page
+  // of /api/pages.
+  const bookstackPages = [];
+  for (let i = 1; i <= 500; i += 1) {
+    bookstackPages.push({
+      id: i,
+      name: `Filler ${i}`,
+      book_slug: "other",
+      slug: `filler-${i}`,
+      html: "<p>filler</p>",
+    });
+  }
+  bookstackPages.push(
+    {
+      id: 900,
+      name: "Root",
+      book_slug: "docs",
+      slug: "root",
+      html: "<p>old</p>",
+    },
+    {
+      id: 901,
+      name: "Child 1",
+      book_slug: "docs",
+      slug: "child-1",
+      html: "<p>old</p>",
+    },
+  );
+  const { cwd, stand } = await setup(t, { bookstackPages });
+  fs.writeFileSync(
+    path.join(cwd, "bookstack-config.yml"),
+    [
+      "books:",
+      '  - name: "Docs"',
+      "    pages:",
+      '      - name: "Root"',
+      `        link: "${stand.base}/books/docs/page/root"`,
+      '      - name: "Child 1"',
+      `        link: "${stand.base}/books/docs/page/child-1"`,
+      "",
+    ].join("\n"),
+  );
+  const args = [
+    "sync",
+    "--page",
+    `${stand.confluenceBase}/spaces/DOC/pages/1/Root`,
+    "--include-children",
+    "--images",
+    "link",
+  ];
+
+  const first = await runCli(args, { cwd });
+
+  assert.equal(first.code, 0, first.stderr);
+  assert.deepEqual(
+    stand
+      .requestsTo(/^\/api\/pages$/, "GET")
+      .map((r) => r.url.searchParams.get("offset")),
+    ["0", "500"],
+  );
+  assert.deepEqual(
+    stand.requestsTo(/^\/api\/pages\/\d+$/, "PUT").map((r) => r.path),
+    ["/api/pages/900", "/api/pages/901"],
+  );
+  const root = stand.bookstack.pages.find((p) => p.id === 900);
+  assert.match(
+    root.html,
+    new RegExp(`href="${stand.base}/books/docs/page/child-1"`),
+  );
+  const child = stand.bookstack.pages.find((p) => p.id === 901);
+  assert.match(
+    child.html,
+    new RegExp(`href="${stand.base}/books/docs/page/root#intro"`),
+  );
+
+  // Nothing changed in Confluence: the second run writes nothing and reuses
+  // the page index from the state file.
+  const second = await runCli(args, { cwd });
+
+  assert.equal(second.code, 0, second.stderr);
+  assert.equal(stand.requestsTo(/^\/api\/pages\/\d+$/, "PUT").length, 2);
+  assert.equal(stand.requestsTo(/^\/api\/pages$/, "GET").length, 2);
+});
+
+test("sync --plan ignores BookStack bkmrk ids and writes nothing", async (t) => {
+  const bookstackPages = [
+    {
+      id: 900,
+      name: "Root",
+      book_slug: "docs",
+      slug: "root",
+      // What BookStack renders for the page synced before.
+      html: '<h2 id="bkmrk-intro">Intro</h2><p id="bkmrk-same-text">Same text</p>',
+    },
+    {
+      id: 901,
+      name: "Child 1",
+      book_slug: "docs",
+      slug: "child-1",
+      html: '<p id="bkmrk-old">old</p>',
+    },
+  ];
+  const { cwd, stand } = await setup(t, { bookstackPages });
+  stand.confluencePages[1].body =
+    '<h2 id="intro">Intro</h2><p>Same <a name="x"></a>text</p>';
+  stand.confluencePages[11].body = "<p>new</p>";
+  fs.writeFileSync(
+    path.join(cwd, "bookstack-config.yml"),
+    [
+      "books:",
+      '  - name: "Docs"',
+      "    pages:",
+      '      - name: "Root"',
+      `        link: "${stand.base}/books/docs/page/root"`,
+      '      - name: "Child 1"',
+      `        link: "${stand.base}/books/docs/page/child-1"`,
+      "",
+    ].join("\n"),
+  );
+
+  const run = await runCli(
+    [
+      "sync",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--include-children",
+      "--images",
+      "link",
+      "--plan",
+      "--plan-report",
+      "plan.json",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 0, run.stderr);
+  const report = JSON.parse(
+    fs.readFileSync(path.join(cwd, "plan.json"), "utf8"),
+  );
+  const statusOf = (title) => report.find((i) => i.title === title).status;
+  assert.equal(statusOf("Root"), "unchanged");
+  assert.equal(statusOf("Child 1"), "changed");
+  assert.ok(
+    report
+      .find((i) => i.title === "Child 1")
+      .diff.some((line) => line === "+ new"),
+  );
+  assert.equal(stand.requestsTo(/^\/api\/pages/, "PUT").length, 0);
+  assert.equal(stand.requestsTo(/^\/api\/pages/, "POST").length, 0);
+  assert.equal(fs.existsSync(path.join(cwd, ".c2b-state.json")), false);
+});
+
+test("sync re-resolves a remembered BookStack page that was deleted", async (t) => {
+  const bookstackPages = [
+    {
+      id: 900,
+      name: "Root",
+      book_slug: "docs",
+      slug: "root",
+      html: "<p>old</p>",
+    },
+  ];
+  const { cwd, stand } = await setup(t, { bookstackPages });
+  fs.writeFileSync(
+    path.join(cwd, "bookstack-config.yml"),
+    [
+      "books:",
+      '  - name: "Docs"',
+      "    pages:",
+      '      - name: "Root"',
+      `        link: "${stand.base}/books/docs/page/root"`,
+      "",
+    ].join("\n"),
+  );
+  const args = [
+    "sync",
+    "--page",
+    "1",
+    "--confluence-base",
+    stand.confluenceBase,
+    "--images",
+    "link",
+  ];
+  const first = await runCli(args, { cwd });
+  assert.equal(first.code, 0, first.stderr);
+
+  // The page was deleted and re-created under the same slug; Confluence
+  // has a new version, so the next run has something to write.
+  stand.bookstack.pages = [
+    { ...stand.bookstack.pages[0], id: 950, html: "<p>recreated</p>" },
+  ];
+  stand.confluencePages[1].version = 2;
+  stand.confluencePages[1].body = "<p>v2</p>";
+
+  const second = await runCli(args, { cwd });
+
+  assert.equal(second.code, 0, second.stderr);
+  assert.match(second.stdout + second.stderr, /page_id=900 не существует/);
+  assert.deepEqual(
+    stand.requestsTo(/^\/api\/pages\/\d+$/, "PUT").map((r) => r.path),
+    ["/api/pages/900", "/api/pages/950"],
+  );
+  const state = JSON.parse(
+    fs.readFileSync(path.join(cwd, ".c2b-state.json"), "utf8"),
+  );
+  assert.equal(state.pages[1].bookstackPageId, 950);
+});
+
+test("backup keeps raw_html with includes, restore sends it back", async (t) => {
+  const bookstackPages = [
+    {
+      id: 900,
+      name: "Root",
+      book_slug: "docs",
+      slug: "root",
+      html: "<p>Shared text</p>",
+      raw_html: "<p>{{@ 5}}</p>",
+    },
+  ];
+  const { cwd, stand } = await setup(t, { bookstackPages });
+  fs.writeFileSync(
+    path.join(cwd, "bookstack-config.yml"),
+    [
+      "books:",
+      '  - name: "Docs"',
+      "    pages:",
+      '      - name: "Root"',
+      `        link: "${stand.base}/books/docs/page/root"`,
+      "",
+    ].join("\n"),
+  );
+
+  const sync = await runCli(
+    [
+      "sync",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--images",
+      "link",
+    ],
+    { cwd },
+  );
+  assert.equal(sync.code, 0, sync.stderr);
+  const [dir] = fs.readdirSync(path.join(cwd, ".c2b-backups"));
+  const backupDir = path.join(cwd, ".c2b-backups", dir);
+  assert.equal(
+    fs.readFileSync(path.join(backupDir, "900.html"), "utf8"),
+    "<p>{{@ 5}}</p>",
+  );
+
+  const restore = await runCli(["restore", "--from", backupDir], { cwd });
+
+  assert.equal(restore.code, 0, restore.stderr);
+  assert.equal(stand.bookstack.pages[0].html, "<p>{{@ 5}}</p>");
+});
+
+test("sync leaves a page edited in BookStack alone, images included", async (t) => {
+  const bookstackPages = [
+    {
+      id: 900,
+      name: "Root",
+      book_slug: "docs",
+      slug: "root",
+      html: "<p>old</p>",
+    },
+  ];
+  const { cwd, stand } = await setup(t, { bookstackPages });
+  fs.writeFileSync(
+    path.join(cwd, "bookstack-config.yml"),
+    [
+      "books:",
+      '  - name: "Docs"',
+      "    pages:",
+      '      - name: "Root"',
+      `        link: "${stand.base}/books/docs/page/root"`,
+      "",
+    ].join("\n"),
+  );
+  const args = [
+    "sync",
+    "--page",
+    "1",
+    "--confluence-base",
+    stand.confluenceBase,
+    "--images",
+    "gallery",
+  ];
+  const first = await runCli(args, { cwd });
+  assert.equal(first.code, 0, first.stderr);
+
+  // Someone edits the page in BookStack; then Confluence gets an image.
+  Object.assign(stand.bookstack.pages[0], {
+    revision_count: 7,
+    updated_at: "2026-12-01T00:00:00.000Z",
+  });
+  stand.confluencePages[1].version = 2;
+  stand.confluencePages[1].body =
+    '<p><img src="/wiki/download/attachments/1/pic.png"></p>';
+
+  const second = await runCli(args, { cwd });
+
+  assert.equal(second.code, 0, second.stderr);
+  assert.match(second.stdout, /\[conflict\] "Root"/);
+  assert.equal(stand.requestsTo(/^\/api\/image-gallery$/).length, 0);
+  assert.equal(stand.requestsTo(/^\/api\/pages\/\d+$/, "PUT").length, 1);
+});
+
+test("--create-missing writes each created page to the config at once", async (t) => {
+  const { cwd, stand } = await setup(t);
+  const configPath = path.join(cwd, "bookstack-config.yml");
+  fs.writeFileSync(configPath, 'books:\n  - name: "Docs"\n    pages: []\n');
+  // The third page cannot be created.
+  stand.fail("POST", /^\/api\/pages$/, { status: 422, skip: 2 });
+
+  const run = await runCli(
+    [
+      "sync",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--include-children",
+      "--create-missing",
+      "--book-id",
+      "1",
+      "--bookstack-base",
+      stand.base,
+      "--images",
+      "link",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 1);
+  const config = fs.readFileSync(configPath, "utf8");
+  assert.match(config, /name: "?Root"?/);
+  assert.match(config, /name: "?Child 1"?/);
+  assert.doesNotMatch(config, /Child 2/);
+  assert.equal(stand.bookstack.pages.length, 2);
+});
+
+test("export --attachments keeps files whose names sanitize alike apart", async (t) => {
+  const { cwd, stand } = await setup(t);
+  const names = ["a:b.pdf", "a b.pdf", "A B.pdf"];
+  stand.confluencePages[1].attachments = names;
+  stand.confluencePages[1].body = names
+    .map(
+      (n) =>
+        `<p><a href="/wiki/download/attachments/1/${encodeURIComponent(n)}">${n}</a></p>`,
+    )
+    .join("");
+
+  const run = await runCli(
+    [
+      "export",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--attachments",
+      "--out-dir",
+      "out",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 0, run.stderr);
+  const dir = path.join(cwd, "out", "Root__1.attachments");
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    "A B-3.pdf",
+    "a b-2.pdf",
+    "a b.pdf",
+  ]);
+  const root = fs.readFileSync(
+    path.join(cwd, "out", "Root__1.fragment.html"),
+    "utf8",
+  );
+  const hrefs = [...root.matchAll(/href="([^"]+)"/g)].map((m) => m[1]);
+  assert.deepEqual(hrefs, [
+    "Root__1.attachments/a%20b.pdf",
+    "Root__1.attachments/a%20b-2.pdf",
+    "Root__1.attachments/A%20B-3.pdf",
+  ]);
+  // Each link leads to its own file.
+  hrefs.forEach((href, i) => {
+    const file = path.join(cwd, "out", decodeURI(href));
+    assert.equal(fs.readFileSync(file, "utf8"), names[i]);
+  });
+});
+
+test("429 with Retry-After is retried", async (t) => {
+  const { cwd, stand } = await setup(t);
+  stand.fail("GET", /\/rest\/api\/content\/1$/, {
+    status: 429,
+    headers: { "Retry-After": "0" },
+  });
+
+  const run = await runCli(
+    [
+      "export",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--out-dir",
+      "out",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 0, run.stderr);
+  assert.match(run.stderr, /\[retry\] HTTP 429/);
+  assert.equal(stand.requestsTo(/\/rest\/api\/content\/1$/).length, 2);
+});
+
+test("persistent 503 fails after --max-attempts", async (t) => {
+  const { cwd, stand } = await setup(t);
+  stand.fail("GET", /\/rest\/api\/content\/1$/, {
+    status: 503,
+    times: 10,
+    headers: { "Retry-After": "0" },
+  });
+
+  const run = await runCli(
+    [
+      "export",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--max-attempts",
+      "3",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 1);
+  assert.match(run.stderr, /HTTP 503/);
+  assert.equal(stand.requestsTo(/\/rest\/api\/content\/1$/).length, 3);
+});
+
+test("server flavour: personal access token, context path and Server URLs", async (t) => {
+  const { cwd, stand } = await setup(t, {
+    contextPath: "/confluence",
+    confluenceAuth: "bearer",
+  });
+  const viewpage = `${stand.base}/confluence/pages/viewpage.action?pageId=11`;
+  stand.confluencePages[1].body = `<p><a href="${viewpage}">${viewpage}</a></p>`;
+
+  const run = await runCli(
+    [
+      "export",
+      "--page",
+      `${stand.base}/confluence/display/DOC/Root`,
+      "--include-children",
+      "--out-dir",
+      "out",
+    ],
+    { cwd, env: { CONFLUENCE_USER: "" } },
+  );
+
+  assert.equal(run.code, 0, run.stderr);
+  assert.match(run.stdout, /DOC \/ "Root" -> pageId=1/);
+  assert.equal(fs.readdirSync(path.join(cwd, "out")).length, 6);
+  const root = fs.readFileSync(
+    path.join(cwd, "out", "Root__1.fragment.html"),
+    "utf8",
+  );
+  assert.match(root, />Child 1<\/a>/);
+});
+
+test("--recursive follows /display/ and tiny links", async (t) => {
+  const { cwd, stand } = await setup(t);
+  // "DQ" is the tiny link code of page 13.
+  stand.confluencePages[1].body = [
+    `<p><a href="${stand.confluenceBase}/display/DOC/Child+2">${stand.confluenceBase}/display/DOC/Child+2</a></p>`,
+    '<p><a href="/wiki/x/DQ">third</a></p>',
+  ].join("");
+
+  const run = await runCli(
+    [
+      "export",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--recursive",
+      "--out-dir",
+      "out",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 0, run.stderr);
+  assert.deepEqual(fs.readdirSync(path.join(cwd, "out")).sort(), [
+    "Child 2__12.fragment.html",
+    "Child 3__13.fragment.html",
+    "Root__1.fragment.html",
+  ]);
+  // One title lookup; the link then carries the id and gets the page title.
+  assert.equal(stand.requestsTo(/\/rest\/api\/content$/).length, 1);
+  const root = fs.readFileSync(
+    path.join(cwd, "out", "Root__1.fragment.html"),
+    "utf8",
+  );
+  assert.match(root, /viewpage\.action\?pageId=12">Child 2<\/a>/);
+});
+
+test("a failed title lookup is reported and tried again on the next page", async (t) => {
+  const { cwd, stand } = await setup(t);
+  const child2 = `<a href="${stand.confluenceBase}/display/DOC/Child+2">Child 2</a>`;
+  stand.confluencePages[1].body = `<p><a href="/wiki/spaces/DOC/pages/11">one</a> ${child2}</p>`;
+  stand.confluencePages[11].body = `<p>${child2}</p>`;
+  stand.fail("GET", /\/rest\/api\/content$/, { status: 404 });
+
+  const run = await runCli(
+    [
+      "export",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--recursive",
+      "--max-depth",
+      "2",
+      "--out-dir",
+      "out",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 0, run.stderr);
+  assert.match(run.stderr, /\[warn\] Не удалось найти страницу «Child 2»/);
+  assert.equal(stand.requestsTo(/\/rest\/api\/content$/).length, 2);
+  assert.deepEqual(fs.readdirSync(path.join(cwd, "out")).sort(), [
+    "Child 1__11.fragment.html",
+    "Child 2__12.fragment.html",
+    "Root__1.fragment.html",
+  ]);
+});
+
+test("--source storage converts macros and follows page links by title", async (t) => {
+  const { cwd, stand } = await setup(t);
+  stand.confluencePages[1].storage = [
+    '<p><ac:link><ri:page ri:content-title="Child 2" /></ac:link> and ',
+    '<ac:link><ri:page ri:content-title="Child 3" />',
+    "<ac:plain-text-link-body><![CDATA[API-ключ]]></ac:plain-text-link-body></ac:link></p>",
+    '<ac:structured-macro ac:name="info"><ac:rich-text-body><p>Heads up</p></ac:rich-text-body></ac:structured-macro>',
+    '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">js</ac:parameter>',
+    "<ac:plain-text-body><![CDATA[if (a < b) {}]]></ac:plain-text-body></ac:structured-macro>",
+  ].join("");
+
+  const run = await runCli(
+    [
+      "export",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--source",
+      "storage",
+      "--recursive",
+      "--out-dir",
+      "out",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 0, run.stderr);
+  assert.ok(
+    stand
+      .requestsTo(/\/rest\/api\/content\/1$/)
+      .every((r) => r.url.searchParams.get("expand").includes("body.storage")),
+  );
+  assert.equal(fs.readdirSync(path.join(cwd, "out")).length, 3);
+  const root = fs.readFileSync(
+    path.join(cwd, "out", "Root__1.fragment.html"),
+    "utf8",
+  );
+  assert.match(root, /pageId=12">Child 2<\/a>/);
+  // Link text from storage is kept, even where export_view needs repairs.
+  assert.match(root, /pageId=13">API-ключ<\/a>/);
+  assert.match(root, /<p class="callout info">Heads up<\/p>/);
+  assert.match(
+    root,
+    /<pre><code class="language-javascript">if \(a &lt; b\) \{\}<\/code><\/pre>/,
+  );
+});
+
+test("--source storage expands includes and finds attachments of other pages", async (t) => {
+  const { cwd, stand } = await setup(t);
+  const include = (macro, title) =>
+    `<ac:structured-macro ac:name="${macro}"><ac:parameter ac:name=""><ac:link><ri:page ri:content-title="${title}" /></ac:link></ac:parameter></ac:structured-macro>`;
+  stand.confluencePages[1].storage = [
+    '<p><ac:image><ri:attachment ri:filename="shared.png"><ri:page ri:content-title="Child 2" /></ri:attachment></ac:image> ',
+    '<ac:link><ri:attachment ri:filename="doc.pdf"><ri:page ri:content-title="Child 2" /></ri:attachment>',
+    "<ac:plain-text-link-body><![CDATA[the doc]]></ac:plain-text-link-body></ac:link></p>",
+    include("include", "Child 3"),
+    include("excerpt-include", "Child 4"),
+  ].join("");
+  // Child 3 includes Root back: the loop stops with a note.
+  stand.confluencePages[13].storage = `<p>Included <ac:image><ri:attachment ri:filename="own.png" /></ac:image></p>${include("include", "Root")}`;
+  stand.confluencePages[14].storage =
+    '<p>Not this</p><ac:structured-macro ac:name="excerpt"><ac:rich-text-body><p>Just the excerpt</p></ac:rich-text-body></ac:structured-macro>';
+
+  const run = await runCli(
+    [
+      "export",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--source",
+      "storage",
+      "--images",
+      "link",
+      "--out-dir",
+      "out",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 0, run.stderr);
+  const root = fs.readFileSync(
+    path.join(cwd, "out", "Root__1.fragment.html"),
+    "utf8",
+  );
+  const download = `${stand.confluenceBase}/download/attachments`;
+  assert.ok(root.includes(`<img src="${download}/12/shared.png">`), root);
+  assert.ok(root.includes(`<a href="${download}/12/doc.pdf">the doc</a>`));
+  assert.ok(root.includes(`<img src="${download}/13/own.png">`));
+  assert.match(root, /<p>Included /);
+  assert.match(root, /\[макрос Confluence «include»: Root\]/);
+  assert.match(run.stderr, /страница включает саму себя/);
+  assert.match(root, /<p>Just the excerpt<\/p>/);
+  assert.doesNotMatch(root, /Not this/);
+});
+
+test("POST is not retried after 5xx: the page may exist already", async (t) => {
+  const { cwd, stand } = await setup(t);
+  fs.writeFileSync(
+    path.join(cwd, "bookstack-config.yml"),
+    'books:\n  - name: "Docs"\n    pages: []\n',
+  );
+  stand.fail("POST", /^\/api\/pages$/, {
+    status: 502,
+    times: 5,
+    headers: { "Retry-After": "0" },
+  });
+
+  const run = await runCli(
+    [
+      "sync",
+      "--page",
+      "1",
+      "--confluence-base",
+      stand.confluenceBase,
+      "--create-missing",
+      "--book-id",
+      "1",
+      "--bookstack-base",
+      stand.base,
+      "--images",
+      "link",
+    ],
+    { cwd },
+  );
+
+  assert.equal(run.code, 1);
+  assert.match(run.stderr, /HTTP 502/);
+  assert.doesNotMatch(run.stderr, /\[retry\]/);
+  assert.equal(stand.requestsTo(/^\/api\/pages$/, "POST").length, 1);
+});
+
+test("Confluence auth failure is reported without retries", async (t) => {
+  const { cwd, stand } = await setup(t);
+
+  const run = await runCli(
+    ["export", "--page", "1", "--confluence-base", stand.confluenceBase],
+    { cwd, env: { CONFLUENCE_TOKEN: "wrong" } },
+  );
+
+  assert.equal(run.code, 1);
+  assert.match(run.stderr, /\[error\] HTTP 401/);
+  assert.doesNotMatch(run.stderr, /\[retry\]/);
+  assert.equal(stand.requests.length, 1);
+});
+
+test("BookStack auth failure stops sync before any write", async (t) => {
+  const { cwd, stand } = await setup(t);
+  fs.writeFileSync(
+    path.join(cwd, "bookstack-config.yml"),
+    [
+      "books:",
+      '  - name: "Docs"',
+      "    pages:",
+      '      - name: "Root"',
+      `        link: "${stand.base}/books/docs/page/root"`,
+      "",
+    ].join("\n"),
+  );
+
+  const run = await runCli(
+    ["sync", "--page", "1", "--confluence-base", stand.confluenceBase],
+    { cwd, env: { BOOKSTACK_TOKEN_SECRET: "wrong" } },
+  );
+
+  assert.equal(run.code, 1);
+  assert.match(run.stderr, /HTTP 401/);
+  assert.equal(stand.requestsTo(/^\/api\//, "PUT").length, 0);
+});
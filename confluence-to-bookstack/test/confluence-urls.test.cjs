@@ -0,0 +1,207 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const cheerio = require("cheerio");
+
+const {
+  createConfluenceClient,
+  deriveConfluenceBaseFromUrl,
+  extractConfluencePageIdFromHref,
+  parseConfluenceInput,
+  resolveConfluenceFlavor,
+  resolveConfluenceTitleLinks,
+} = require("../index.cjs");
+
+test("parseConfluenceInput: Cloud and Server page URLs", () => {
+  assert.deepEqual(parseConfluenceInput(" 123 "), {
+    pageId: "123",
+    pageUrl: null,
+  });
+  assert.equal(
+    parseConfluenceInput(
+      "https://acme.atlassian.net/wiki/spaces/DOC/pages/123/Setup",
+    ).pageId,
+    "123",
+  );
+  assert.equal(
+    parseConfluenceInput(
+      "https://confluence.example.com/confluence/pages/viewpage.action?pageId=456",
+    ).pageId,
+    "456",
+  );
+  assert.deepEqual(
+    parseConfluenceInput(
+      "https://kb.example.com/display/OPS/Run+Book%3A+Deploy",
+    ),
+    {
+      pageId: null,
+      spaceKey: "OPS",
+      title: "Run Book: Deploy",
+      pageUrl: "https://kb.example.com/display/OPS/Run+Book%3A+Deploy",
+    },
+  );
+  assert.deepEqual(
+    parseConfluenceInput(
+      "https://kb.example.com/pages/viewpage.action?spaceKey=OPS&title=Deploy",
+    ),
+    {
+      pageId: null,
+      spaceKey: "OPS",
+      title: "Deploy",
+      pageUrl:
+        "https://kb.example.com/pages/viewpage.action?spaceKey=OPS&title=Deploy",
+    },
+  );
+  assert.throws(
+    () => parseConfluenceInput("https://kb.example.com/display/OPS"),
+    /Не смог извлечь pageId/,
+  );
+});
+
+test("deriveConfluenceBaseFromUrl: keeps the context path", () => {
+  const cases = {
+    "https://acme.atlassian.net/wiki/spaces/DOC/pages/1/X":
+      "https://acme.atlassian.net/wiki",
+    "https://confluence.example.com/confluence/pages/viewpage.action?pageId=1":
+      "https://confluence.example.com/confluence",
+    "https://kb.example.com/display/OPS/Deploy": "https://kb.example.com",
+    "https://corp.example.com/tools/kb/x/AbCd":
+      "https://corp.example.com/tools/kb",
+  };
+  for (const [url, base] of Object.entries(cases)) {
+    assert.equal(deriveConfluenceBaseFromUrl(url), base, url);
+  }
+});
+
+test("extractConfluencePageIdFromHref: Server links under a context path", () => {
+  const base = "https://confluence.example.com/confluence";
+  assert.equal(
+    extractConfluencePageIdFromHref(
+      "/confluence/pages/viewpage.action?pageId=77#id-Setup",
+      base,
+    ),
+    "77",
+  );
+  assert.equal(
+    extractConfluencePageIdFromHref(
+      "https://confluence.example.com/confluence/spaces/OPS/pages/78/X",
+      base,
+    ),
+    "78",
+  );
+  // Tiny links decode locally: "zYEB" is 98765 little-endian.
+  assert.equal(
+    extractConfluencePageIdFromHref("/confluence/x/zYEB", base),
+    "98765",
+  );
+  assert.equal(
+    extractConfluencePageIdFromHref(
+      "https://confluence.example.com/confluence/x/Fc1bBw#id-Setup",
+      base,
+    ),
+    "123456789",
+  );
+  // Title links need an API lookup; other hosts are not Confluence links.
+  assert.equal(
+    extractConfluencePageIdFromHref("/confluence/display/OPS/Deploy", base),
+    null,
+  );
+  assert.equal(
+    extractConfluencePageIdFromHref(
+      "https://other.example.com/pages/viewpage.action?pageId=77",
+      base,
+    ),
+    null,
+  );
+});
+
+test("resolveConfluenceTitleLinks: title links point at the looked-up id", async () => {
+  const base = "https://kb.example.com";
+  const $ = cheerio.load(
+    [
+      '<a href="/display/OPS/Run+Book#id-Steps">run book</a>',
+      '<a href="/pages/viewpage.action?spaceKey=OPS&amp;title=Deploy">deploy</a>',
+      '<a href="/display/OPS/Missing">missing</a>',
+      '<a href="/pages/viewpage.action?pageId=5">by id</a>',
+    ].join(""),
+    { decodeEntities: false },
+  );
+  const lookups = [];
+  const ids = { "OPS\nRun Book": "41", "OPS\nDeploy": "42" };
+
+  const resolved = await resolveConfluenceTitleLinks($, {
+    confluenceBase: base,
+    findPageId: async (spaceKey, title) => {
+      lookups.push(`${spaceKey}/${title}`);
+      return ids[`${spaceKey}\n${title}`] || null;
+    },
+  });
+
+  assert.equal(resolved, 2);
+  assert.deepEqual(
+    $("a")
+      .map((_, a) => $(a).attr("href"))
+      .get(),
+    [
+      `${base}/pages/viewpage.action?pageId=41#id-Steps`,
+      `${base}/pages/viewpage.action?pageId=42`,
+      "/display/OPS/Missing",
+      "/pages/viewpage.action?pageId=5",
+    ],
+  );
+  assert.deepEqual(lookups.sort(), [
+    "OPS/Deploy",
+    "OPS/Missing",
+    "OPS/Run Book",
+  ]);
+});
+
+test("resolveConfluenceFlavor: explicit value or guessed from the host", () => {
+  assert.equal(
+    resolveConfluenceFlavor("", "https://acme.atlassian.net/wiki"),
+    "cloud",
+  );
+  assert.equal(
+    resolveConfluenceFlavor(null, "https://kb.example.com"),
+    "server",
+  );
+  assert.equal(
+    resolveConfluenceFlavor("Cloud", "https://kb.example.com"),
+    "cloud",
+  );
+  assert.throws(
+    () => resolveConfluenceFlavor("datacenter", "https://kb.example.com"),
+    /ожидается cloud или server/,
+  );
+});
+
+test("createConfluenceClient: Cloud needs a user, Server takes a bare token", () => {
+  assert.throws(
+    () =>
+      createConfluenceClient({
+        base: "https://acme.atlassian.net/wiki",
+        token: "t",
+      }),
+    /Для Confluence Cloud нужен user/,
+  );
+  assert.throws(
+    () =>
+      createConfluenceClient({
+        base: "https://acme.atlassian.net/wiki",
+        user: "me@example.com",
+      }),
+    /Нужен token Confluence/,
+  );
+  assert.equal(
+    createConfluenceClient({ base: "https://kb.example.com", token: "pat" })
+      .authHeader,
+    "Bearer pat",
+  );
+  assert.equal(
+    createConfluenceClient({
+      base: "https://acme.atlassian.net/wiki",
+      user: "me@example.com",
+      token: "t",
+    }).authHeader,
+    `Basic ${Buffer.from("me@example.com:t").toString("base64")}`,
+  );
+});
@@ -0,0 +1,328 @@
+const http = require("node:http");
+const path = require("node:path");
+const { execFile } = require("node:child_process");
+
+const CLI = path.join(__dirname, "..", "..", "cli.cjs");
+
+const CONFLUENCE_USER = "tester@example.com";
+const CONFLUENCE_TOKEN = "confluence-token";
+const BOOKSTACK_TOKEN_ID = "bs-id";
+const BOOKSTACK_TOKEN_SECRET = "bs-secret";
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Local stand-ins for the Confluence REST API (under `contextPath`) and the
+ * BookStack API on one random port. Lists are paged like the real services:
+ * Confluence with start/limit and `_links.next`, BookStack with count/offset
+ * and total. Confluence takes Basic user:token, or with
+ * `confluenceAuth: "bearer"` a personal access token (Server / Data Center).
+ *
+ * confluencePages: { [id]: { title, body, storage?, parent?, space?, version?,
+ * attachments? } } (storage is body.storage; body.export_view is body;
+ * attachments are file names).
+ * bookstackPages: [{ id, name, book_slug, slug, html }]
+ */
+async function startStandIns({
+  confluencePages = {},
+  bookstackPages = [],
+  confluenceLimit = 2,
+  bookstackLimit = 500,
+  contextPath = "/wiki",
+  confluenceAuth = "basic",
+} = {}) {
+  const requests = [];
+  const failures = [];
+  const bookstack = {
+    pages: bookstackPages.map((p) => ({
+      revision_count: 1,
+      updated_at: "2026-01-01T00:00:00.000Z",
+      book_id: 1,
+      chapter_id: 0,
+      ...p,
+    })),
+  };
+  let nextId = 1000 + bookstack.pages.length;
+
+  const confluenceList = (req, url, items) => {
+    const start = Number(url.searchParams.get("start") || 0);
+    const limit = Math.min(
+      Number(url.searchParams.get("limit") || 25),
+      confluenceLimit,
+    );
+    const results = items.slice(start, start + limit);
+    const body = {
+      results,
+      start,
+      limit,
+      size: results.length,
+      _links: { base: `${server.base}${contextPath}` },
+    };
+    if (start + limit < items.length) {
+      const next = new URL(url);
+      next.searchParams.set("start", String(start + limit));
+      body._links.next = `${next.pathname.slice(contextPath.length)}${next.search}`;
+    }
+    return body;
+  };
+
+  const handleConfluence = (req, res, url) => {
+    const expected =
+      confluenceAuth === "bearer"
+        ? `Bearer ${CONFLUENCE_TOKEN}`
+        : `Basic ${Buffer.from(
+            `${CONFLUENCE_USER}:${CONFLUENCE_TOKEN}`,
+          ).toString("base64")}`;
+    if (req.headers.authorization !== expected) {
+      return sendJson(res, 401, { statusCode: 401, message: "Unauthorized" });
+    }
+    const pages = Object.entries(confluencePages).map(([id, p]) => ({
+      id,
+      ...p,
+    }));
+    const apiPath = url.pathname.slice(contextPath.length);
+    let m;
+    if (apiPath === "/rest/api/content") {
+      const title = url.searchParams.get("title");
+      const spaceKey = url.searchParams.get("spaceKey");
+      const found = pages
+        .filter((p) => p.title === title && (p.space || "DOC") === spaceKey)
+        .map(({ id, title }) => ({ id, title, type: "page" }));
+      return sendJson(res, 200, confluenceList(req, url, found));
+    }
+    if ((m = apiPath.match(/^\/rest\/api\/content\/(\d+)$/))) {
+      const page = confluencePages[m[1]];
+      if (!page) return sendJson(res, 404, { message: "No content found" });
+      return sendJson(res, 200, {
+        id: m[1],
+        title: page.title,
+        space: { key: page.space || "DOC" },
+        version: { number: page.version || 1 },
+        body: {
+          export_view: { value: page.body },
+          storage: { value: page.storage || page.body },
+        },
+      });
+    }
+    if ((m = apiPath.match(/^\/rest\/api\/content\/(\d+)\/child\/page$/))) {
+      const children = pages
+        .filter((p) => p.parent === m[1])
+        .map(({ id, title }) => ({ id, title }));
+      return sendJson(res, 200, confluenceList(req, url, children));
+    }
+    if (
+      (m = apiPath.match(/^\/rest\/api\/content\/(\d+)\/child\/attachment$/))
+    ) {
+      const page = confluencePages[m[1]] || {};
+      const attachments = (page.attachments || []).map((name) => ({
+        title: name,
+        metadata: { mediaType: "application/pdf" },
+        _links: {
+          download: `/download/attachments/${m[1]}/${encodeURIComponent(name)}`,
+        },
+      }));
+      return sendJson(res, 200, confluenceList(req, url, attachments));
+    }
+    if ((m = apiPath.match(/^\/rest\/api\/space\/([^/]+)\/content\/page$/))) {
+      const roots = pages
+        .filter((p) => !p.parent && (p.space || "DOC") === m[1])
+        .map(({ id, title }) => ({ id, title }));
+      return sendJson(res, 200, confluenceList(req, url, roots));
+    }
+    return sendJson(res, 404, { message: "Not found" });
+  };
+
+  const handleBookstack = (req, res, url, body) => {
+    if (
+      req.headers.authorization !==
+      `Token ${BOOKSTACK_TOKEN_ID}:${BOOKSTACK_TOKEN_SECRET}`
+    ) {
+      return sendJson(res, 401, {
+        error: { code: 401, message: "The provided token is not valid" },
+      });
+    }
+    let m;
+    if (url.pathname === "/api/pages" && req.method === "GET") {
+      const count = Math.min(
+        Number(url.searchParams.get("count") || 100),
+        bookstackLimit,
+      );
+      const offset = Number(url.searchParams.get("offset") || 0);
+      return sendJson(res, 200, {
+        data: bookstack.pages
+          .slice(offset, offset + count)
+          .map(({ html, markdown, ...page }) => page),
+        total: bookstack.pages.length,
+      });
+    }
+    if (url.pathname === "/api/pages" && req.method === "POST") {
+      const input = JSON.parse(body);
+      const page = {
+        id: nextId++,
+        revision_count: 1,
+        updated_at: new Date().toISOString(),
+        book_id: input.book_id || 1,
+        chapter_id: input.chapter_id || 0,
+        book_slug: "docs",
+        slug: String(input.name)
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, "-"),
+        ...input,
+      };
+      bookstack.pages.push(page);
+      return sendJson(res, 200, page);
+    }
+    if ((m = url.pathname.match(/^\/api\/pages\/(\d+)$/))) {
+      const page = bookstack.pages.find((p) => p.id === Number(m[1]));
+      if (!page) {
+        return sendJson(res, 404, {
+          error: { code: 404, message: "Not found" },
+        });
+      }
+      if (req.method === "PUT") {
+        Object.assign(page, JSON.parse(body));
+        page.revision_count += 1;
+        page.updated_at = new Date().toISOString();
+      }
+      return sendJson(res, 200, page);
+    }
+    if (url.pathname === "/api/image-gallery" && req.method === "POST") {
+      const id = nextId++;
+      return sendJson(res, 200, {
+        id,
+        url: `${server.base}/uploads/images/gallery/${id}.png`,
+      });
+    }
+    if ((m = url.pathname.match(/^\/api\/books\/(\d+)$/))) {
+      return sendJson(res, 200, {
+        id: Number(m[1]),
+        name: "Docs",
+        slug: "docs",
+      });
+    }
+    return sendJson(res, 404, { error: { code: 404, message: "Not found" } });
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const url = new URL(req.url, server.base);
+      requests.push({ method: req.method, path: url.pathname, url });
+      const failure = failures.find(
+        (f) =>
+          f.remaining > 0 &&
+          f.method === req.method &&
+          f.pattern.test(url.pathname),
+      );
+      if (failure && failure.skip > 0) {
+        failure.skip -= 1;
+      } else if (failure) {
+        failure.remaining -= 1;
+        return sendJson(
+          res,
+          failure.status,
+          { message: `stand-in ${failure.status}` },
+          failure.headers,
+        );
+      }
+      if (url.pathname.startsWith(`${contextPath}/rest/`)) {
+        return handleConfluence(req, res, url);
+      }
+      if (url.pathname.startsWith(`${contextPath}/download/`)) {
+        // Every image is the same tiny PNG; other files hold their own name.
+        if (/\.(png|jpe?g|gif)$/i.test(url.pathname)) {
+          res.writeHead(200, { "Content-Type": "image/png" });
+          return res.end(Buffer.from("89504e470d0a1a0a0000", "hex"));
+        }
+        res.writeHead(200, { "Content-Type": "application/octet-stream" });
+        return res.end(decodeURIComponent(url.pathname.split("/").pop()));
+      }
+      if (url.pathname.startsWith("/api/")) {
+        return handleBookstack(req, res, url, body);
+      }
+      return sendJson(res, 404, { message: "Not found" });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  server.base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    base: server.base,
+    confluenceBase: `${server.base}${contextPath}`,
+    // Mutable: tests may add pages once the port (and so the base) is known.
+    confluencePages,
+    bookstack,
+    requests,
+    /**
+     * Answer the next `times` matching requests with `status`, after letting
+     * `skip` of them through.
+     */
+    fail(method, pattern, { status, times = 1, skip = 0, headers = {} }) {
+      failures.push({
+        method,
+        pattern,
+        status,
+        headers,
+        skip,
+        remaining: times,
+      });
+    },
+    /** Requests whose path matches `pattern` (and method, if given). */
+    requestsTo(pattern, method) {
+      return requests.filter(
+        (r) => pattern.test(r.path) && (!method || r.method === method),
+      );
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
+
+/**
+ * Run cli.cjs in `cwd` with the stand-in credentials (overridable via `env`).
+ * Resolves with { code, stdout, stderr }; a non-zero exit does not reject.
+ */
+function runCli(args, { cwd, env = {} } = {}) {
+  const baseEnv = Object.fromEntries(
+    Object.entries(process.env).filter(
+      ([key]) => !/^(CONFLUENCE_|BOOKSTACK_|JIRA_BASE$)/.test(key),
+    ),
+  );
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [CLI, ...args],
+      {
+        cwd,
+        env: {
+          ...baseEnv,
+          CONFLUENCE_USER,
+          CONFLUENCE_TOKEN,
+          BOOKSTACK_TOKEN_ID,
+          BOOKSTACK_TOKEN_SECRET,
+          ...env,
+        },
+        timeout: 60_000,
+      },
+      (error, stdout, stderr) => {
+        resolve({
+          code: error ? (error.code ?? 1) : 0,
+          stdout: String(stdout),
+          stderr: String(stderr),
+        });
+      },
+    );
+  });
+}
+
+module.exports = { startStandIns, runCli };
@@ -0,0 +1,48 @@
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { test } = require("node:test");
+
+const {
+  configureRequests,
+  createBookstackClient,
+  resetRequestBudget,
+} = require("../index.cjs");
+
+// The first request for each URL is a 503: every new page needs one retry
+// (400 ms pause).
+async function startFlakyServer(t) {
+  const seen = new Set();
+  const server = http.createServer((req, res) => {
+    const status = seen.has(req.url) ? 200 : 503;
+    seen.add(req.url);
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ id: 1, name: "Page" }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test("each run gets the full retry budget", async (t) => {
+  const base = await startFlakyServer(t);
+  const bookstack = createBookstackClient({
+    base,
+    tokenId: "id",
+    tokenSecret: "secret",
+  });
+  const retries = [];
+  const log = (line) => retries.push(line);
+  t.after(() => configureRequests({ retryBudget: 600, log: console.warn }));
+
+  // The budget fits one pause.
+  configureRequests({ retryBudget: 0.5, log });
+  assert.equal((await bookstack.getPage(1)).name, "Page");
+  await assert.rejects(bookstack.getPage(2), /HTTP 503/);
+
+  configureRequests({ retryBudget: 0.5, log });
+  assert.equal((await bookstack.getPage(3)).name, "Page");
+
+  resetRequestBudget();
+  assert.equal((await bookstack.getPage(4)).name, "Page");
+  assert.equal(retries.length, 3);
+});
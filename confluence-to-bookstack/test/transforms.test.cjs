@@ -0,0 +1,279 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { test } = require("node:test");
+const cheerio = require("cheerio");
+
+const {
+  convertPage,
+  htmlToMarkdown,
+  inlineImagesInHtml,
+  loadBookstackConfig,
+  normalizeAnchorsAndLinks,
+  rewriteConfluenceLinksToBookstack,
+  stripConfluenceNoise,
+} = require("../index.cjs");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const CONFLUENCE_BASE = "https://acme.atlassian.net/wiki";
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf8");
+}
+
+// Same wrapper the converter uses, so ids and self-links behave as in a run.
+function loadFixture(name) {
+  return cheerio.load(`<div id="__root">${readFixture(name)}</div>`, {
+    decodeEntities: false,
+  });
+}
+
+// `UPDATE_FIXTURES=1 npm test` rewrites the *.expected.html files.
+function assertMatchesFixture(name, actual) {
+  const file = path.join(FIXTURES, `${name}.expected.html`);
+  if (process.env.UPDATE_FIXTURES) {
+    fs.writeFileSync(file, `${actual.trim()}\n`, "utf8");
+  }
+  assert.equal(actual.trim(), fs.readFileSync(file, "utf8").trim());
+}
+
+test("normalizeAnchorsAndLinks: self-links, TOC ids, pretty and name anchors", () => {
+  const $ = loadFixture("anchors.html");
+  const result = normalizeAnchorsAndLinks($, {
+    pageId: "100",
+    confluenceBase: CONFLUENCE_BASE,
+  });
+
+  assert.equal(result.rewrittenSelfLinks, 2);
+  for (const id of ["id-Setup-Installation", "legacy-anchor"]) {
+    assert.ok(result.preserveIds.has(id), `preserveIds has ${id}`);
+  }
+  assertMatchesFixture("anchors", $("#__root").html());
+});
+
+test("stripConfluenceNoise: drops scripts, data-*, Confluence classes and ids", () => {
+  const $ = loadFixture("noise.html");
+  stripConfluenceNoise($, {
+    keepIds: false,
+    preserveIds: new Set(["__root", "id-Setup-Installation"]),
+  });
+  assertMatchesFixture("noise", $("#__root").html());
+});
+
+test("stripConfluenceNoise: keepIds leaves every id in place", () => {
+  const $ = loadFixture("noise.html");
+  stripConfluenceNoise($, { keepIds: true, preserveIds: new Set() });
+  assert.equal($("#random-7").length, 1);
+  assert.equal($("#main-content").length, 1);
+  assert.equal($("[data-page-id]").length, 0);
+});
+
+test("rewriteConfluenceLinksToBookstack: by id, title, alias and /display/ title, keeping hashes", () => {
+  const $ = loadFixture("links.html");
+  const config = loadBookstackConfig(path.join(FIXTURES, "links.config.yml"));
+  const count = rewriteConfluenceLinksToBookstack($, {
+    titleById: new Map([
+      ["201", "Renamed Page"],
+      ["202", "Old glossary"],
+      ["203", "Unknown"],
+    ]),
+    config,
+    confluenceBase: CONFLUENCE_BASE,
+  });
+
+  assert.equal(count, 4);
+  assert.deepEqual(
+    $("a")
+      .map((_, a) => $(a).attr("href"))
+      .get(),
+    [
+      "https://books.example/books/docs/page/other",
+      "https://books.example/books/docs/page/renamed-page#section-2",
+      "https://books.example/books/docs/page/glossary",
+      "https://acme.atlassian.net/wiki/spaces/DOC/pages/203/Unknown",
+      "https://books.example/books/docs/page/glossary#terms",
+      "#local",
+      "https://example.com/docs/pages/200/x",
+    ],
+  );
+  assertMatchesFixture("links", $("#__root").html());
+});
+
+test("config lookup: title matches skip entries pinned to another page", () => {
+  const config = loadBookstackConfig(path.join(FIXTURES, "links.config.yml"));
+  const linkOf = (query) => (config.lookup(query) || {}).link || null;
+
+  assert.equal(
+    linkOf({ id: "200", title: "Whatever" }),
+    "https://books.example/books/docs/page/other",
+  );
+  // "Other" belongs to page 200; page 999 with the same title is new.
+  assert.equal(linkOf({ id: "999", title: "Other" }), null);
+  assert.equal(linkOf({ id: "999", title: "other!" }), null);
+  assert.equal(
+    linkOf({ title: "Other" }),
+    "https://books.example/books/docs/page/other",
+  );
+  assert.equal(
+    linkOf({ id: "999", title: "old  GLOSSARY" }),
+    "https://books.example/books/docs/page/glossary",
+  );
+});
+
+test("convertPage: storage.xml (source: storage)", async () => {
+  const warnings = [];
+  const { html } = await convertPage(readFixture("storage.xml"), {
+    confluenceBase: CONFLUENCE_BASE,
+    pageId: "100",
+    source: "storage",
+    spaceKey: "DOC",
+    jiraBase: "https://jira.example",
+    warn: (message) => warnings.push(message),
+  });
+  assertMatchesFixture("storage", html);
+
+  // Without a Confluence client nothing is looked up, but nothing vanishes
+  // silently either.
+  const $ = cheerio.load(html);
+  const $title = $("p > strong").filter((_, b) => $(b).text() === "Notes");
+  assert.equal($title.parent().next().text(), "Panel body");
+  assert.equal($("td").text(), "raw");
+  assert.equal(
+    $('a[href$="/download/attachments/100/spec.pdf"]').text(),
+    "spec.pdf",
+  );
+  assert.match(html, /<span>\[shared\.png\]<\/span>/);
+  assert.match(html, /\[макрос Confluence «include»: Shared\]/);
+  assert.match(html, /\[макрос Confluence «gallery»\]/);
+  assert.match(
+    html,
+    /<p>Ask <span>\[пользователь Confluence «5b10ac8d82e05b22cc7d4ef5»\]<\/span> or <span>John<\/span>\.<\/p>/,
+  );
+  assert.equal(warnings.length, 5);
+  assert.match(
+    warnings.join("\n"),
+    /Упоминание пользователя Confluence «jdoe»/,
+  );
+  assert.match(
+    warnings.join("\n"),
+    /Вложение shared\.png со страницы «Assets»/,
+  );
+  assert.match(warnings.join("\n"), /«include» \(Shared\) не раскрыт/);
+  assert.match(
+    warnings.join("\n"),
+    /Макрос Confluence «gallery» не поддерживается/,
+  );
+});
+
+for (const name of ["panels", "code", "macros"]) {
+  test(`convertPage: ${name}.html`, async () => {
+    const { html } = await convertPage(readFixture(`${name}.html`), {
+      confluenceBase: CONFLUENCE_BASE,
+      pageId: "100",
+      jiraBase: "https://jira.example",
+    });
+    assertMatchesFixture(name, html);
+  });
+}
+
+// The snapshots above are written by the code under test; these check the parts
+// BookStack relies on directly.
+test("convertPage: callout classes and titles", async () => {
+  const { html } = await convertPage(readFixture("panels.html"), {
+    confluenceBase: CONFLUENCE_BASE,
+    pageId: "100",
+  });
+  const $ = cheerio.load(html);
+  assert.deepEqual(
+    $("p.callout")
+      .map((_, p) => $(p).attr("class"))
+      .get(),
+    ["callout danger", "callout danger", "callout info", "callout success"],
+  );
+  assert.equal(
+    $("p.callout").first().children("strong").first().text(),
+    "Be careful",
+  );
+  assert.equal($("p:not(.callout)").text(), "not a callout");
+});
+
+test("convertPage: code blocks keep their language", async () => {
+  const { html } = await convertPage(readFixture("code.html"), {
+    confluenceBase: CONFLUENCE_BASE,
+    pageId: "100",
+  });
+  const $ = cheerio.load(html);
+  assert.deepEqual(
+    $("pre > code")
+      .map((_, c) => $(c).attr("class") || "")
+      .get(),
+    ["language-javascript", "language-sql", "", "language-bash"],
+  );
+  assert.equal($("pre > code").eq(1).text(), "SELECT *\n  FROM t");
+  assert.equal($("pre > code").eq(2).text(), "line1\n  line2");
+});
+
+test("htmlToMarkdown: blocks, escaped markers and links to exported pages", () => {
+  const md = htmlToMarkdown(
+    [
+      '<h2 id="setup">Setup</h2>',
+      "<p>1. not a list</p><p>- nor this</p><p># nor this</p>",
+      "<table><tr><th>A</th><th>B</th></tr><tr><td>x | y</td><td><code>z</code></td></tr></table>",
+      '<p class="callout warning">Careful<br>now</p>',
+      '<pre><code class="language-bash">echo hi</code></pre>',
+      "<ul><li>one<ul><li>nested</li></ul></li><li>two</li></ul>",
+      "<ol><li>first</li><li>second</li></ol>",
+      '<p><a href="https://books.example/books/docs/page/other#sec">Other</a> ',
+      '<a href="https://example.com/a b">ext</a></p>',
+    ].join(""),
+    {
+      resolveHref: (href) =>
+        href.startsWith("https://books.example/") ? "Other__200.md#sec" : null,
+    },
+  );
+  const blocks = md.trim().split("\n\n");
+
+  assert.equal(blocks[0], '## <a id="setup"></a>Setup');
+  // A backslash before the digit would still start a list.
+  assert.equal(blocks[1], "1\\. not a list");
+  assert.equal(blocks[2], "\\- nor this");
+  assert.equal(blocks[3], "\\# nor this");
+  assert.equal(blocks[4], "| A | B |\n| --- | --- |\n| x \\| y | `z` |");
+  assert.equal(blocks[5], "> [!WARNING]\n> Careful\\\n> now");
+  assert.equal(blocks[6], "```bash\necho hi\n```");
+  assert.equal(blocks[7], "- one\n  - nested\n- two");
+  assert.equal(blocks[8], "1. first\n2. second");
+  assert.equal(
+    blocks[9],
+    "[Other](Other__200.md#sec) [ext](https://example.com/a%20b)",
+  );
+});
+
+test("inlineImagesInHtml: failed images go to the caller's warn", async () => {
+  const http = require("node:http");
+  // A port nobody listens on: the download fails at once, without retries.
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  await new Promise((resolve) => server.close(resolve));
+  const warnings = [];
+
+  const { html, stats } = await inlineImagesInHtml(
+    `<p><img src="${base}/download/attachments/1/a.png"></p>`,
+    {
+      confluenceBase: base,
+      confluenceAuthHeader: "Basic x",
+      concurrency: 1,
+      maxBytes: 1000,
+      warn: (message) => warnings.push(message),
+    },
+  );
+
+  assert.equal(stats.fail, 1);
+  assert.match(
+    html,
+    /src="http:\/\/127\.0\.0\.1:\d+\/download\/attachments\/1\/a\.png"/,
+  );
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /\[warn\] Не удалось встроить картинку/);
+});